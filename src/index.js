@@ -14,6 +14,29 @@ import appleTouchIcon from './assets/apple-touch-icon.png';
 import androidChrome192 from './assets/android-chrome-192x192.png';
 import androidChrome512 from './assets/android-chrome-512x512.png';
 import webmanifest from './assets/site.webmanifest';
+import { getStorage } from './storage.js';
+import { createQueryEngine } from './query.js';
+import {
+  SEARCH_INDEX_KEY, SEARCH_INDEX_SHARD_COUNT, searchIndexShardOf, searchIndexShardKey,
+  createSearchIndexShard, buildSearchIndexShards, updateSearchIndexShard, isSearchIndexShardCurrent,
+  reconcileSearchIndexShard, combineSearchIndexShards, searchWithIndex
+} from './search-index.js';
+import { sanitizeHtml } from './sanitize.js';
+import { generateVapidKeys, isValidSubscriptionKeys, sendWebPush } from './webpush.js';
+import { serviceWorker } from './service-worker.js';
+
+const queryEngine = createQueryEngine();
+// The browser gets the same engine, so the search box and /api/search agree on every query.
+// The bundler's keep-names helper (__name) may appear inside the serialized source, so stub it.
+const queryEngineScript = 'var __name = function (fn) { return fn; };\n' +
+  `const queryEngine = (${createQueryEngine.toString()})();\n`;
+// The PWA's service worker (Web Push) is served the same way
+const serviceWorkerScript = 'var __name = function (fn) { return fn; };\n' +
+  `(${serviceWorker.toString()})();\n`;
+// Cache-buster for the /query.js <script> tag (static assets are cached for a day)
+const queryEngineVersion = [...queryEngineScript]
+  .reduce((h, c) => (Math.imul(h, 31) + c.charCodeAt(0)) >>> 0, 7)
+  .toString(36);
 
 // Static asset map for routing
 const staticAssets = {
@@ -24,41 +47,180 @@ const staticAssets = {
   '/apple-touch-icon.png': { content: appleTouchIcon, type: 'image/png', binary: true },
   '/android-chrome-192x192.png': { content: androidChrome192, type: 'image/png', binary: true },
   '/android-chrome-512x512.png': { content: androidChrome512, type: 'image/png', binary: true },
-  '/site.webmanifest': { content: webmanifest, type: 'application/manifest+json' }
+  '/site.webmanifest': { content: webmanifest, type: 'application/manifest+json' },
+  '/query.js': { content: queryEngineScript, type: 'application/javascript' },
+  '/sw.js': { content: serviceWorkerScript, type: 'application/javascript' }
 };
 
 // Session cookie name
 const SESSION_COOKIE = 'bp_session';
-const SESSION_DURATION = 7 * 24 * 60 * 60 * 1000; // 7 days
+const SESSION_DURATION = 7 * 24 * 60 * 60 * 1000; // 7 days since last activity (sliding)
+const SESSION_TOUCH_INTERVAL = 60 * 60 * 1000;     // extend a session at most once an hour
+
+// PBKDF2-SHA256 iterations for stored PINs (100k is the Workers runtime maximum)
+const PIN_HASH_ITERATIONS = 100000;
+
+// Login brute-force protection: after the free attempts, every further failure doubles the lockout
+const LOGIN_FREE_ATTEMPTS = 5;               // per IP
+const LOGIN_GLOBAL_FREE_ATTEMPTS = 25;       // across all IPs, to slow distributed guessing
+const LOGIN_BASE_LOCKOUT = 30 * 1000;        // first lockout: 30 seconds
+const LOGIN_MAX_LOCKOUT = 60 * 60 * 1000;    // longest lockout: 1 hour
+const LOGIN_FAILURE_TTL = 24 * 60 * 60;      // counters are forgotten after a quiet day (seconds)
+const LOGIN_AUDIT_LIMIT = 200;
+
+// Settings routes a viewer (read-only PIN) session may not call. Everything else follows
+// API_KEY_ROUTE_SCOPES: a viewer gets exactly what a `read` key gets.
+const ADMIN_ONLY_ROUTES = [
+  '/api/settings',
+  '/api/keys',
+  '/api/calendar-feeds',
+  '/api/sessions',
+  '/api/login-audit',
+  '/api/push',
+  '/api/outgoing-webhooks'
+];
+
+// Personal API keys (sent as `Authorization: Bearer bp_...`)
+const API_KEY_PREFIX = 'bp_';
+const API_KEY_LIMIT = 20;
+const API_KEY_TOUCH_INTERVAL = 60 * 1000; // throttle lastUsedAt writes
+
+// Routes an API key may call and the scope each needs ('write' keys can also read), per
+// method where reads and writes share a route. Settings and key management are deliberately
+// absent: they need a browser session.
+const API_KEY_ROUTE_SCOPES = {
+  '/api/search': 'read',
+  '/api/prefixes': 'read',
+  '/api/filters': 'read',
+  '/api/history': 'read',
+  '/api/digest': 'read',
+  '/api/views': { GET: 'read', POST: 'write' },
+  '/api/task/*': { GET: 'read', POST: 'write' },
+  '/browse/*': 'read',
+  '/api/time-services': 'read',
+  '/api/remote-search': 'write',  // reaches beyond the synced dashboard
+  '/api/sync-task': 'write',
+  '/api/sync-tasks': 'write',
+  '/api/bulk-edit': 'write',
+  '/api/task-status': 'write',
+  '/api/time': 'write',
+  '/api/create-task': 'write',
+  '/api/add-manual-task': 'write',
+  '/api/delete-manual-task': 'write',
+  '/update': 'write'
+};
+
+// Delta sync: cron runs only fetch tasks updated since the last successful sync,
+// with a full reconciliation (deletions, unsubscribes) at most this often
+const FULL_SYNC_INTERVAL = 24 * 60 * 60 * 1000; // 24 hours (override with FULL_SYNC_INTERVAL_HOURS)
+const DELTA_SYNC_OVERLAP = 5 * 60 * 1000;       // re-fetch a 5 minute overlap to absorb clock skew
+
+// Batch refresh (/api/sync-tasks) and bulk edit: all IDs go in one filtered list request, so one page at most
+const SYNC_TASKS_MAX = 100;
+const BULK_EDIT_UNDO_TTL = 24 * 60 * 60; // seconds an undo stays available
+
+// /api/search paging and sorting (sort values match the dashboard's sort dropdown)
+const SEARCH_DEFAULT_PAGE_SIZE = 50;
+const SEARCH_MAX_PAGE_SIZE = 500;
+const SEARCH_SORTS = ['default', 'project-asc', 'board', 'due-asc', 'created-desc', 'updated-desc'];
+const DUE_BUCKETS = ['overdue', 'today', 'week', 'month', 'year', 'none'];
+
+// Saved views: named /api/search parameter sets shared by every device
+const SAVED_VIEW_LIMIT = 50;
+const SAVED_VIEW_PARAMS = ['q', 'project', 'status', 'due', 'dueDate', 'dueExact', 'assignee', 'resolved', 'changed', 'sort'];
+
+// Task detail drawer: Productive data fetched on demand and cached briefly (KV's minimum TTL)
+const TASK_DETAIL_TTL = 60; // seconds
+const COMMENT_MAX_LENGTH = 10000;
+
+// New tasks created from the dashboard form
+const TASK_TITLE_MAX_LENGTH = 255;
+
+// Web Push notifications
+const PUSH_EVENT_TYPES = ['assigned', 'statusChanged', 'overdue'];
+const PUSH_SUBSCRIPTION_LIMIT = 20;
+const PUSH_PENDING_LIMIT = 50;     // messages held per device during quiet hours
+const PUSH_SUMMARY_THRESHOLD = 3;  // more messages than this go out as one summary
+const PUSH_SUMMARY_LINES = 5;
+
+// Outgoing webhooks: a digest of each sync's changes POSTed to Slack, Teams or any JSON endpoint
+const OUTGOING_WEBHOOK_FORMATS = ['json', 'slack', 'teams'];
+const OUTGOING_WEBHOOK_EVENTS = ['new', 'updated', 'deleted', 'overdue', 'digest']; // digest: the scheduled report
+const OUTGOING_WEBHOOK_LIMIT = 10;
+const OUTGOING_WEBHOOK_ATTEMPTS = 3;          // tries per delivery (429, 5xx and network errors are retried)
+const OUTGOING_WEBHOOK_RETRY_DELAY = 1000;    // ms before the first retry, quadrupling after that
+const OUTGOING_WEBHOOK_TIMEOUT = 10 * 1000;   // ms per attempt
+const OUTGOING_WEBHOOK_BUDGET = 25 * 1000;    // ms for one round of deliveries, inside the ~30 s waitUntil limit
+const OUTGOING_WEBHOOK_LOG_LIMIT = 100;
+const OUTGOING_WEBHOOK_LOG_TTL = 30 * 24 * 60 * 60; // seconds a log entry is kept
+const OUTGOING_WEBHOOK_TASK_LINES = 15;       // chat messages list this many tasks per section
+
+// Digest reports (/api/digest) and the scheduled digest
+const DIGEST_PERIODS = { daily: 1, weekly: 7 }; // days covered
+const DIGEST_FORMATS = ['json', 'markdown', 'html'];
+
+// Calendar feeds (/calendar.ics): each feed URL carries its own secret token, which also opens /feed.atom
+const CALENDAR_FEED_PREFIX = 'cal_';
+const CALENDAR_FEED_LIMIT = 20;
+
+// Atom feed of task changes (/feed.atom)
+const ATOM_FEED_ENTRY_LIMIT = 50;
+const ATOM_FEED_HISTORY_DEPTH = 200; // history entries scanned for matching tasks
+
+// Fields whose old and new values sync history keeps for updated tasks (`changes`)
+const HISTORY_CHANGE_FIELDS = {
+  title: 'Title',
+  status: 'Status',
+  assignee: 'Assignee',
+  dueDate: 'Due date',
+  taskListName: 'Task list'
+};
 
 // =============================================================================
-// Configuration Helper - Check Env then KV
+// Configuration Helper - Check Env then storage
 // =============================================================================
 
 async function getConfig(env) {
+  const store = getStorage(env);
   // Priority 1: Environment variables / secrets
   let apiToken = env.PRODUCTIVE_API_TOKEN || null;
   let appPin = env.APP_PIN || null;
   
-  // Priority 2: KV storage fallback
-  if (!apiToken && env.TASKS_KV) {
-    apiToken = await env.TASKS_KV.get('config_api_token');
+  // Priority 2: Storage fallback (KV or D1)
+  let tokenError = null;
+  if (!apiToken) {
+    const stored = await store.get('config_api_token');
+    try {
+      apiToken = await decryptSecret(env, stored);
+    } catch (error) {
+      // A rotated or missing key mustn't take the whole app down: login and Settings keep
+      // working so the admin can fix the key or enter the token again
+      console.error('Stored API token could not be decrypted:', error);
+      tokenError = error.message || 'The stored API token could not be decrypted.';
+    }
   }
-  if (!appPin && env.TASKS_KV) {
-    appPin = await env.TASKS_KV.get('config_app_pin');
+  if (!appPin) {
+    appPin = await store.get('config_app_pin');
   }
+  // Optional read-only PIN (same env-then-storage priority)
+  const viewerPin = env.VIEWER_PIN || await store.get('config_viewer_pin');
   
   return {
     apiToken,
+    tokenError,
     appPin,
+    viewerPin,
     setupToken: env.SETUP_TOKEN || null,
-    isConfigured: !!apiToken,
-    isProtected: !!appPin
+    // An unreadable token still counts as configured, so /setup can't be used to replace it
+    isConfigured: !!apiToken || !!tokenError,
+    isProtected: !!appPin,
+    hasViewerPin: !!viewerPin
   };
 }
 
 async function isRemoteSearchEnabled(env) {
-  const v = await env.TASKS_KV.get('config_remote_search_enabled');
+  const store = getStorage(env);
+  const v = await store.get('config_remote_search_enabled');
   return v === 'true';
 }
 
@@ -72,12 +234,46 @@ function generateSessionToken() {
   return Array.from(array, b => b.toString(16).padStart(2, '0')).join('');
 }
 
+function bytesToHex(bytes) {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function hexToBytes(hex) {
+  return new Uint8Array(hex.match(/../g).map(h => parseInt(h, 16)));
+}
+
+async function derivePinHash(pin, salt, iterations) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+  return bytesToHex(new Uint8Array(bits));
+}
+
+// Stored format: pbkdf2$sha256$<iterations>$<salt hex>$<hash hex>
 async function hashPin(pin) {
-  const encoder = new TextEncoder();
-  const data = encoder.encode(pin);
-  const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-  const hashArray = Array.from(new Uint8Array(hashBuffer));
-  return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const hash = await derivePinHash(pin, salt, PIN_HASH_ITERATIONS);
+  return `pbkdf2$sha256$${PIN_HASH_ITERATIONS}$${bytesToHex(salt)}$${hash}`;
+}
+
+// Checks a PIN against a stored hash. `needsUpgrade` is set for legacy unsalted SHA-256
+// hashes and for PBKDF2 hashes with fewer iterations than the current setting.
+async function verifyPin(pin, storedHash) {
+  const parts = storedHash.split('$');
+
+  if (parts[0] === 'pbkdf2' && parts.length === 5) {
+    const [, digest, iterationsRaw, saltHex, hashHex] = parts;
+    const iterations = parseInt(iterationsRaw);
+    if (digest !== 'sha256' || !iterations) return { valid: false, needsUpgrade: false };
+    const hash = await derivePinHash(pin, hexToBytes(saltHex), iterations);
+    return { valid: timingSafeEqual(hash, hashHex), needsUpgrade: iterations < PIN_HASH_ITERATIONS };
+  }
+
+  if (/^[0-9a-f]{64}$/.test(storedHash)) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(pin));
+    return { valid: timingSafeEqual(bytesToHex(new Uint8Array(digest)), storedHash), needsUpgrade: true };
+  }
+
+  return { valid: false, needsUpgrade: false };
 }
 
 function parseSessionCookie(request) {
@@ -94,50 +290,403 @@ async function isAuthenticated(request, env) {
     return true;
   }
   
-  // Check for valid session cookie
+  return !!(await getSession(request, env));
+}
+
+function sessionCookie(token) {
+  return `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; Secure; SameSite=Strict; Max-Age=${Math.floor(SESSION_DURATION / 1000)}`;
+}
+
+// Returns { token, session } for a valid session cookie, or null
+async function getSession(request, env) {
   const sessionToken = parseSessionCookie(request);
   if (!sessionToken) {
-    return false;
+    return null;
   }
   
-  // Verify session exists in KV
-  const session = await env.TASKS_KV.get(`session_${sessionToken}`);
-  return !!session;
+  // Verify session exists in storage
+  const json = await getStorage(env).get(`session_${sessionToken}`);
+  return json ? { token: sessionToken, session: JSON.parse(json) } : null;
+}
+
+// Validates the session cookie and slides its expiry forward (at most once per
+// SESSION_TOUCH_INTERVAL). `cookie` is set when the browser should get a refreshed cookie.
+async function checkSession(request, env) {
+  const current = await getSession(request, env);
+  if (!current) {
+    return { valid: false };
+  }
+
+  const { token, session } = current;
+  const now = Date.now();
+  if (session.id && now - (session.lastSeen || session.created) < SESSION_TOUCH_INTERVAL) {
+    return { valid: true, session };
+  }
+
+  // Sessions from before the index existed get an ID (and index entry) on first touch
+  const touched = { ...session, id: session.id || generateSessionId(), lastSeen: now };
+  await getStorage(env).put(`session_${token}`, JSON.stringify(touched), {
+    ttl: Math.floor(SESSION_DURATION / 1000)
+  });
+  await updateSessionIndex(env, sessions => {
+    const entry = sessions.find(e => e.id === touched.id);
+    if (entry) {
+      entry.lastSeen = now;
+      entry.expiresAt = now + SESSION_DURATION;
+      entry.ip = getClientIp(request);
+    } else {
+      sessions.push(newSessionEntry(request, token, touched));
+    }
+  });
+
+  return { valid: true, session: touched, cookie: sessionCookie(token) };
 }
 
-async function createSession(env) {
+async function createSession(env, request, role = 'admin') {
+  const store = getStorage(env);
   const token = generateSessionToken();
-  const expires = Date.now() + SESSION_DURATION;
+  const now = Date.now();
+  const session = { id: generateSessionId(), created: now, lastSeen: now, role };
   
-  // Store session in KV with expiration
-  await env.TASKS_KV.put(`session_${token}`, JSON.stringify({ created: Date.now() }), {
-    expirationTtl: Math.floor(SESSION_DURATION / 1000)
+  // Store session with expiration
+  await store.put(`session_${token}`, JSON.stringify(session), {
+    ttl: Math.floor(SESSION_DURATION / 1000)
+  });
+  await updateSessionIndex(env, sessions => {
+    sessions.push(newSessionEntry(request, token, session));
   });
   
   return {
     token,
-    cookie: `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; Secure; SameSite=Strict; Max-Age=${Math.floor(SESSION_DURATION / 1000)}`
+    cookie: sessionCookie(token)
   };
 }
 
 async function destroySession(request, env) {
-  const sessionToken = parseSessionCookie(request);
-  if (sessionToken) {
-    await env.TASKS_KV.delete(`session_${sessionToken}`);
+  const current = await getSession(request, env);
+  if (current) {
+    await revokeSessions(env, e => e.token === current.token);
+    await getStorage(env).delete(`session_${current.token}`);
   }
   return `${SESSION_COOKIE}=; Path=/; HttpOnly; Secure; SameSite=Strict; Max-Age=0`;
 }
 
+// =============================================================================
+// Session Index - Active sessions for Settings → Session
+// =============================================================================
+// `session_index` lists every live session: { id, token, created, lastSeen, expiresAt,
+// userAgent, ip, label, role }. The token is needed to delete `session_<token>` on revoke and
+// is never sent to the browser; `id` is the public handle.
+
+function generateSessionId() {
+  return generateSessionToken().slice(0, 16);
+}
+
+function newSessionEntry(request, token, session) {
+  const userAgent = (request.headers.get('User-Agent') || '').slice(0, 300);
+  return {
+    id: session.id,
+    token,
+    created: session.created,
+    lastSeen: session.lastSeen,
+    expiresAt: session.lastSeen + SESSION_DURATION,
+    userAgent,
+    ip: getClientIp(request),
+    label: describeUserAgent(userAgent),
+    // Sessions from before roles existed were created with the only (admin) PIN
+    role: session.role || 'admin'
+  };
+}
+
+// Short "Browser on OS" label for a user agent string
+function describeUserAgent(userAgent) {
+  const browser = /Edg\//.test(userAgent) ? 'Edge'
+    : /Firefox\//.test(userAgent) ? 'Firefox'
+    : /Chrome\//.test(userAgent) ? 'Chrome'
+    : /Safari\//.test(userAgent) ? 'Safari'
+    : null;
+  const os = /iPhone|iPad/.test(userAgent) ? 'iOS'
+    : /Android/.test(userAgent) ? 'Android'
+    : /Mac OS X/.test(userAgent) ? 'macOS'
+    : /Windows/.test(userAgent) ? 'Windows'
+    : /Linux/.test(userAgent) ? 'Linux'
+    : null;
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || 'Unknown device';
+}
+
+async function loadSessionIndex(env) {
+  const json = await getStorage(env).get('session_index');
+  return json ? JSON.parse(json) : [];
+}
+
+// Read-modify-write of the index; expired entries are dropped on every write
+async function updateSessionIndex(env, mutate) {
+  const sessions = await loadSessionIndex(env);
+  mutate(sessions);
+  const now = Date.now();
+  await getStorage(env).put('session_index', JSON.stringify(sessions.filter(e => e.expiresAt > now)));
+}
+
+// Deletes every session matching `predicate`; returns how many were revoked
+async function revokeSessions(env, predicate) {
+  const store = getStorage(env);
+  const sessions = await loadSessionIndex(env);
+  const revoked = sessions.filter(predicate);
+  await Promise.all(revoked.map(e => store.delete(`session_${e.token}`)));
+  await updateSessionIndex(env, list => {
+    const ids = new Set(revoked.map(e => e.id));
+    list.splice(0, list.length, ...list.filter(e => !ids.has(e.id)));
+  });
+  return revoked.length;
+}
+
+// List (GET), label, revoke and revoke-all (POST { action }) sessions
+async function handleSessions(request, env, auth) {
+  const currentId = auth.session?.id || null;
+
+  if (request.method === 'GET') {
+    const sessions = (await loadSessionIndex(env))
+      .filter(e => e.expiresAt > Date.now())
+      .sort((a, b) => b.lastSeen - a.lastSeen)
+      .map(({ token, ...entry }) => ({ ...entry, current: entry.id === currentId }));
+    return new Response(JSON.stringify({ sessions }), { headers: corsHeaders() });
+  }
+
+  if (request.method !== 'POST') {
+    return new Response(JSON.stringify({ error: 'Method not allowed' }), {
+      status: 405, headers: corsHeaders()
+    });
+  }
+
+  try {
+    const { action, id, label } = await request.json();
+
+    switch (action) {
+      case 'label': {
+        const trimmed = (label || '').trim().slice(0, 60);
+        if (!trimmed) {
+          return new Response(JSON.stringify({ error: 'Label cannot be empty' }), {
+            status: 400, headers: corsHeaders()
+          });
+        }
+        let found = false;
+        await updateSessionIndex(env, sessions => {
+          const entry = sessions.find(e => e.id === id);
+          if (entry) {
+            entry.label = trimmed;
+            found = true;
+          }
+        });
+        if (!found) {
+          return new Response(JSON.stringify({ error: 'Session not found' }), {
+            status: 404, headers: corsHeaders()
+          });
+        }
+        return new Response(JSON.stringify({ success: true }), { headers: corsHeaders() });
+      }
+
+      case 'revoke': {
+        const revoked = await revokeSessions(env, e => e.id === id);
+        if (revoked === 0) {
+          return new Response(JSON.stringify({ error: 'Session not found' }), {
+            status: 404, headers: corsHeaders()
+          });
+        }
+        return new Response(JSON.stringify({ success: true, loggedOut: id === currentId }), { headers: corsHeaders() });
+      }
+
+      case 'revoke_all': {
+        // "Log out everywhere" includes this browser
+        const revoked = await revokeSessions(env, () => true);
+        return new Response(JSON.stringify({ success: true, revoked, loggedOut: true }), { headers: corsHeaders() });
+      }
+
+      default:
+        return new Response(JSON.stringify({ error: 'Unknown action' }), {
+          status: 400, headers: corsHeaders()
+        });
+    }
+  } catch (error) {
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: 500, headers: corsHeaders()
+    });
+  }
+}
+
+// =============================================================================
+// API Keys - Bearer tokens for scripts and integrations
+// =============================================================================
+// Only a SHA-256 of each key is stored (keys are 256-bit random, so a fast hash is enough);
+// the plaintext is shown once at creation.
+
+async function hashApiKey(key) {
+  const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(key));
+  return bytesToHex(new Uint8Array(hashBuffer));
+}
+
+function parseBearerToken(request) {
+  const header = request.headers.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+async function loadApiKeys(env) {
+  const json = await getStorage(env).get('api_keys');
+  return json ? JSON.parse(json) : [];
+}
+
+async function saveApiKeys(env, keys) {
+  await getStorage(env).put('api_keys', JSON.stringify(keys));
+}
+
+// 'read', 'write' or null (not open to API keys); methods a split route doesn't list need 'write'
+function apiKeyScopeFor(pathname, method) {
+  const route = ['/browse/', '/api/task/'].find(prefix => pathname.startsWith(prefix));
+  const scope = API_KEY_ROUTE_SCOPES[route ? route + '*' : pathname] || null;
+  if (!scope || typeof scope === 'string') return scope;
+  return scope[method === 'HEAD' ? 'GET' : method] || 'write';
+}
+
+// Returns the matching key record, or null
+async function verifyApiKey(env, token) {
+  if (!token.startsWith(API_KEY_PREFIX)) return null;
+
+  const hash = await hashApiKey(token);
+  const keys = await loadApiKeys(env);
+  const key = keys.find(k => timingSafeEqual(k.hash, hash));
+  if (!key) return null;
+
+  if (!key.lastUsedAt || Date.now() - new Date(key.lastUsedAt).getTime() > API_KEY_TOUCH_INTERVAL) {
+    key.lastUsedAt = new Date().toISOString();
+    await saveApiKeys(env, keys);
+  }
+  return key;
+}
+
+// Public view of a key record (never includes the hash)
+function describeApiKey(key) {
+  const { hash, ...rest } = key;
+  return rest;
+}
+
+// =============================================================================
+// Token Encryption - AES-GCM envelope encryption for the stored API token
+// =============================================================================
+// Each value gets a fresh 256-bit data key (DEK) which is wrapped with a key-encryption key
+// (KEK) derived from the TOKEN_ENCRYPTION_KEY secret. Stored format (base64 fields):
+//   enc:v1:<kek id>:<wrap iv>:<wrapped dek>:<iv>:<ciphertext>
+// TOKEN_ENCRYPTION_KEY_PREVIOUS is still accepted for decryption while rotating keys.
+// Values without the prefix are legacy plaintext and are returned as-is.
+
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+function bytesToBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function base64ToBytes(b64) {
+  return Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+}
+
+async function deriveKek(secret) {
+  const encoder = new TextEncoder();
+  const material = await crypto.subtle.digest('SHA-256', encoder.encode(secret));
+  // The ID only identifies which secret was used; it's derived separately so it reveals nothing about the key
+  const idHash = await crypto.subtle.digest('SHA-256', encoder.encode(`kek-id:${secret}`));
+  return {
+    id: bytesToHex(new Uint8Array(idHash)).slice(0, 8),
+    key: await crypto.subtle.importKey('raw', material, 'AES-GCM', false, ['encrypt', 'decrypt'])
+  };
+}
+
+async function getEncryptionKeys(env) {
+  const [current, previous] = await Promise.all([
+    env.TOKEN_ENCRYPTION_KEY ? deriveKek(env.TOKEN_ENCRYPTION_KEY) : null,
+    env.TOKEN_ENCRYPTION_KEY_PREVIOUS ? deriveKek(env.TOKEN_ENCRYPTION_KEY_PREVIOUS) : null
+  ]);
+  return { current, previous };
+}
+
+function isEncryptedValue(value) {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+}
+
+// Encrypts with the current key; without TOKEN_ENCRYPTION_KEY the value is stored as plaintext
+async function encryptSecret(env, plaintext) {
+  const { current } = await getEncryptionKeys(env);
+  if (!current) return plaintext;
+
+  const dekBytes = crypto.getRandomValues(new Uint8Array(32));
+  const dek = await crypto.subtle.importKey('raw', dekBytes, 'AES-GCM', false, ['encrypt']);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, dek, new TextEncoder().encode(plaintext));
+
+  const wrapIv = crypto.getRandomValues(new Uint8Array(12));
+  const wrappedDek = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv: wrapIv, additionalData: new TextEncoder().encode(current.id) },
+    current.key,
+    dekBytes
+  );
+
+  return ENCRYPTED_PREFIX + [
+    current.id,
+    bytesToBase64(wrapIv),
+    bytesToBase64(new Uint8Array(wrappedDek)),
+    bytesToBase64(iv),
+    bytesToBase64(new Uint8Array(ciphertext))
+  ].join(':');
+}
+
+async function decryptSecret(env, stored) {
+  if (!isEncryptedValue(stored)) return stored;
+
+  const [kekId, wrapIv, wrappedDek, iv, ciphertext] = stored.slice(ENCRYPTED_PREFIX.length).split(':');
+  const { current, previous } = await getEncryptionKeys(env);
+  const kek = [current, previous].find(k => k && k.id === kekId);
+  if (!kek) {
+    throw new Error('The stored API token is encrypted with a key that is not configured. Check TOKEN_ENCRYPTION_KEY / TOKEN_ENCRYPTION_KEY_PREVIOUS.');
+  }
+
+  try {
+    const dekBytes = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(wrapIv), additionalData: new TextEncoder().encode(kek.id) },
+      kek.key,
+      base64ToBytes(wrappedDek)
+    );
+    const dek = await crypto.subtle.importKey('raw', dekBytes, 'AES-GCM', false, ['decrypt']);
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(iv) }, dek, base64ToBytes(ciphertext));
+    return new TextDecoder().decode(plaintext);
+  } catch {
+    throw new Error('The stored API token could not be decrypted. It may be corrupted; enter it again in Settings.');
+  }
+}
+
+// How the stored token is protected: 'none' (nothing stored), 'encrypted', 'previous-key',
+// 'plaintext' (key configured but value not yet encrypted) or 'no-key'
+async function getTokenEncryptionState(env) {
+  const stored = await getStorage(env).get('config_api_token');
+  if (!stored) return 'none';
+
+  const { current } = await getEncryptionKeys(env);
+  if (isEncryptedValue(stored)) {
+    const kekId = stored.slice(ENCRYPTED_PREFIX.length).split(':')[0];
+    return current && current.id === kekId ? 'encrypted' : 'previous-key';
+  }
+  return current ? 'plaintext' : 'no-key';
+}
+
 // =============================================================================
 // Auth Page Renderer
 // =============================================================================
 
-function renderAuthPage({ title, subtitle, fields, submitText, error, success, footer }) {
+function renderAuthPage({ title, subtitle, fields, submitText, error, success, footer, disabled = false, status = 200 }) {
   let html = authTemplate
     .replace('{{STYLES}}', styles)
     .replace(/\{\{PAGE_TITLE\}\}/g, title)
     .replace('{{PAGE_SUBTITLE}}', subtitle)
     .replace('{{SUBMIT_TEXT}}', submitText)
+    .replace('{{SUBMIT_DISABLED}}', disabled ? 'disabled' : '')
     .replace('{{ERROR_MESSAGE}}', error ? `<div class="error-message">${error}</div>` : '')
     .replace('{{SUCCESS_MESSAGE}}', success ? `<div class="success-message">${success}</div>` : '')
     .replace('{{FOOTER_CONTENT}}', footer || '');
@@ -148,7 +697,7 @@ function renderAuthPage({ title, subtitle, fields, submitText, error, success, f
       <label for="${f.name}">${f.label}</label>
       <input type="${f.type}" name="${f.name}" id="${f.name}" 
              class="form-input" placeholder="${f.placeholder || ''}" 
-             ${f.required ? 'required' : ''} ${f.autocomplete ? `autocomplete="${f.autocomplete}"` : ''}>
+             ${f.required ? 'required' : ''} ${f.autocomplete ? `autocomplete="${f.autocomplete}"` : ''} ${disabled ? 'disabled' : ''}>
       ${f.hint ? `<div class="hint">${f.hint}</div>` : ''}
     </div>
   `).join('');
@@ -156,24 +705,54 @@ function renderAuthPage({ title, subtitle, fields, submitText, error, success, f
   html = html.replace('{{FORM_FIELDS}}', fieldsHtml);
   
   return new Response(html, {
+    status,
     headers: { 'Content-Type': 'text/html' }
   });
 }
 
+function renderLoginPage({ error, lockoutMs = 0 } = {}) {
+  const locked = lockoutMs > 0;
+  return renderAuthPage({
+    title: 'Login',
+    subtitle: 'Enter your PIN to access the dashboard.',
+    fields: [{ name: 'pin', label: 'PIN', type: 'password', placeholder: 'Enter your PIN', required: true, autocomplete: 'current-password' }],
+    submitText: 'Login',
+    error: locked
+      ? `Too many failed attempts. Login is locked for ${formatLockout(lockoutMs)}.`
+      : error,
+    footer: locked ? '<div class="footer-text">Reload this page once the lockout has passed.</div>' : '',
+    disabled: locked,
+    status: locked ? 429 : 200
+  });
+}
+
 export default {
   // Cron handler - runs every hour to sync tasks
   async scheduled(event, env, ctx) {
     console.log('Cron triggered: Updating task database...');
     try {
-      const result = await updateTaskDatabase(env, null, null, false, null); // isManualSync = false
-      console.log(`Sync complete: ${result.taskCount} tasks, ${result.projectCount} projects`);
+      const result = await updateTaskDatabase(env, null, null, false, null, 'delta', ctx); // isManualSync = false
+      console.log(`Sync complete (${result.mode}): ${result.taskCount} tasks, ${result.fetchedCount} fetched, ${result.projectCount} projects`);
     } catch (error) {
       console.error('Sync failed:', error);
     }
+
+    try {
+      await runScheduledDigest(env);
+    } catch (error) {
+      console.error('Scheduled digest failed:', error);
+    }
+
+    // Purge expired sessions etc. (KV expires keys itself; D1 needs a sweep)
+    try {
+      await getStorage(env).cleanup();
+    } catch (error) {
+      console.error('Storage cleanup failed:', error);
+    }
   },
 
   // HTTP request handler
-  async fetch(request, env) {
+  async fetch(request, env, ctx) {
     const url = new URL(request.url);
 
     // CORS preflight
@@ -275,21 +854,7 @@ export default {
           return handleLoginPost(request, env, url);
         }
         
-        return renderAuthPage({
-          title: 'Login',
-          subtitle: 'Enter your PIN to access the dashboard.',
-          fields: [
-            { 
-              name: 'pin', 
-              label: 'PIN', 
-              type: 'password', 
-              placeholder: 'Enter your PIN',
-              required: true,
-              autocomplete: 'current-password'
-            }
-          ],
-          submitText: 'Login'
-        });
+        return renderLoginPage({ lockoutMs: await getLoginLockout(env, getClientIp(request)) });
       }
 
       // =================================================================
@@ -314,53 +879,84 @@ export default {
       }
 
       // =================================================================
-      // Check Authentication for Protected Routes
+      // Productive.io Webhooks - verified by shared secret, not session
       // =================================================================
-      const publicRoutes = ['/api/'];
-      const isPublicRoute = publicRoutes.some(r => url.pathname.startsWith(r));
-      
-      if (!isPublicRoute && config.isProtected) {
-        const authenticated = await isAuthenticated(request, env);
-        if (!authenticated) {
-          return Response.redirect(new URL('/login', url.origin), 302);
-        }
+      if (url.pathname === '/webhooks/productive') {
+        return handleProductiveWebhook(request, env, url, ctx);
+      }
+
+      // Calendar apps and feed readers can't log in: feeds authenticate with their own token
+      if (url.pathname === '/calendar.ics') {
+        return handleCalendarFeed(request, env, url);
+      }
+      if (url.pathname === '/feed.atom') {
+        return handleAtomFeed(request, env, url);
       }
 
       // =================================================================
-      // Main Application Routes
+      // Check Authentication - Bearer API key, else session cookie
       // =================================================================
+      const isApiRoute = url.pathname.startsWith('/api/') || url.pathname === '/update';
+      const bearerToken = parseBearerToken(request);
+      let auth = { type: 'open', role: 'admin' };
+
+      if (bearerToken) {
+        const apiKey = await verifyApiKey(env, bearerToken);
+        if (!apiKey) {
+          return new Response(JSON.stringify({ error: 'Invalid API key' }), {
+            status: 401, headers: corsHeaders()
+          });
+        }
+
+        const requiredScope = apiKeyScopeFor(url.pathname, request.method);
+        if (!requiredScope) {
+          return new Response(JSON.stringify({ error: 'API keys cannot access this route' }), {
+            status: 403, headers: corsHeaders()
+          });
+        }
+        if (requiredScope === 'write' && apiKey.scope !== 'write') {
+          return new Response(JSON.stringify({ error: 'This API key is read-only' }), {
+            status: 403, headers: corsHeaders()
+          });
+        }
+        auth = { type: 'apiKey', apiKey, role: apiKey.scope === 'write' ? 'admin' : 'viewer' };
+      } else if (config.isProtected) {
+        const sessionCheck = await checkSession(request, env);
+        if (!sessionCheck.valid) {
+          // API callers get a JSON 401 instead of a login redirect
+          if (isApiRoute) {
+            return new Response(JSON.stringify({ error: 'Authentication required' }), {
+              status: 401, headers: corsHeaders()
+            });
+          }
+          return Response.redirect(new URL('/login', url.origin), 302);
+        }
+        auth = {
+          type: 'session',
+          session: sessionCheck.session,
+          role: sessionCheck.session.role || 'admin',
+          refreshedCookie: sessionCheck.cookie
+        };
+      }
 
-      // Handle /browse/PRIM-242 style URLs
-      if (url.pathname.startsWith('/browse/')) {
-        return handleBrowse(url, env);
+      // API keys were already checked against API_KEY_ROUTE_SCOPES; viewer sessions get the same
+      // answer as a read key, plus the settings routes keys can't reach at all
+      if (auth.type !== 'apiKey' && auth.role === 'viewer' &&
+        (ADMIN_ONLY_ROUTES.includes(url.pathname) || apiKeyScopeFor(url.pathname, request.method) === 'write')) {
+        return new Response(JSON.stringify({ error: 'Viewers have read-only access' }), {
+          status: 403, headers: corsHeaders()
+        });
       }
 
-      switch (url.pathname) {
-        case '/':
-          return new Response(await renderSearchPage(env), {
-            headers: { 'Content-Type': 'text/html' }
-          });
-        case '/api/search':
-          return handleSearch(url, env);
-        case '/api/prefixes':
-          return handlePrefixes(env);
-        case '/api/filters':
-          return handleFilters(env);
-        case '/api/settings':
-          return handleSettings(request, env);
-        case '/api/sync-task':
-          return handleSyncTask(request, env);
-        case '/api/remote-search':
-          return handleRemoteSearch(url, env);
-        case '/api/add-manual-task':
-          return handleAddManualTask(request, env);
-        case '/api/delete-manual-task':
-          return handleDeleteManualTask(request, env);
-        case '/update':
-          return handleManualUpdate(request, env);
-        default:
-          return new Response('Not Found', { status: 404 });
+      const response = await handleAppRoute(request, env, url, auth, ctx);
+
+      // Sliding expiry: hand the browser a cookie with a fresh Max-Age
+      if (auth.refreshedCookie) {
+        const refreshed = new Response(response.body, response);
+        refreshed.headers.append('Set-Cookie', auth.refreshedCookie);
+        return refreshed;
       }
+      return response;
 
     } catch (error) {
       console.error('Request error:', error);
@@ -369,11 +965,85 @@ export default {
   }
 };
 
+// =============================================================================
+// Main Application Routes
+// =============================================================================
+
+// `auth` describes the caller: { type: 'open' | 'session' | 'apiKey', role: 'admin' | 'viewer', session?, apiKey? }
+async function handleAppRoute(request, env, url, auth, ctx) {
+  // Handle /browse/PRIM-242 style URLs
+  if (url.pathname.startsWith('/browse/')) {
+    return handleBrowse(url, env);
+  }
+
+  if (url.pathname.startsWith('/api/task/')) {
+    return handleTaskDetail(request, url, env);
+  }
+
+  switch (url.pathname) {
+    case '/':
+      return new Response(await renderSearchPage(env, auth), {
+        headers: { 'Content-Type': 'text/html' }
+      });
+    case '/api/search':
+      return handleSearch(url, env);
+    case '/api/prefixes':
+      return handlePrefixes(env);
+    case '/api/filters':
+      return handleFilters(env);
+    case '/api/history':
+      return handleHistory(url, env);
+    case '/api/digest':
+      return handleDigest(url, env);
+    case '/api/settings':
+      return handleSettings(request, env);
+    case '/api/keys':
+      return handleApiKeys(request, env);
+    case '/api/calendar-feeds':
+      return handleCalendarFeeds(request, env);
+    case '/api/views':
+      return handleSavedViews(request, env);
+    case '/api/login-audit':
+      return handleLoginAudit(request, env);
+    case '/api/sessions':
+      return handleSessions(request, env, auth);
+    case '/api/push':
+      return handlePush(request, url, env);
+    case '/api/outgoing-webhooks':
+      return handleOutgoingWebhooks(request, env);
+    case '/api/sync-task':
+      return handleSyncTask(request, env);
+    case '/api/sync-tasks':
+      return handleSyncTasks(request, env);
+    case '/api/bulk-edit':
+      return handleBulkEdit(request, env);
+    case '/api/task-status':
+      return handleTaskStatus(request, env);
+    case '/api/time':
+      return handleTime(request, url, env, auth);
+    case '/api/time-services':
+      return handleTimeServices(url, env);
+    case '/api/create-task':
+      return handleCreateTask(request, env);
+    case '/api/remote-search':
+      return handleRemoteSearch(url, env);
+    case '/api/add-manual-task':
+      return handleAddManualTask(request, env);
+    case '/api/delete-manual-task':
+      return handleDeleteManualTask(request, env);
+    case '/update':
+      return handleManualUpdate(request, env, ctx);
+    default:
+      return new Response('Not Found', { status: 404 });
+  }
+}
+
 // =============================================================================
 // Setup & Login Handlers
 // =============================================================================
 
 async function handleSetupPost(request, env, url) {
+  const store = getStorage(env);
   try {
     const formData = await request.formData();
     const apiToken = formData.get('api_token')?.trim();
@@ -429,10 +1099,10 @@ async function handleSetupPost(request, env, url) {
       });
     }
     
-    // Store configuration in KV
-    await env.TASKS_KV.put('config_api_token', apiToken);
+    // Store configuration in storage
+    await store.put('config_api_token', await encryptSecret(env, apiToken));
     const hashedPin = await hashPin(appPin);
-    await env.TASKS_KV.put('config_app_pin', hashedPin);
+    await store.put('config_app_pin', hashedPin);
     
     // Redirect to login (PIN is always set now)
     return Response.redirect(new URL('/login', url.origin), 302);
@@ -453,47 +1123,50 @@ async function handleSetupPost(request, env, url) {
 }
 
 async function handleLoginPost(request, env, url) {
+  const store = getStorage(env);
+  const ip = getClientIp(request);
   try {
+    // Locked out: don't even look at the PIN
+    const lockoutMs = await getLoginLockout(env, ip);
+    if (lockoutMs > 0) {
+      await appendLoginAudit(env, request, ip, 'locked');
+      return renderLoginPage({ lockoutMs });
+    }
+
     const formData = await request.formData();
     const pin = formData.get('pin')?.trim();
     
     if (!pin) {
-      return renderAuthPage({
-        title: 'Login',
-        subtitle: 'Enter your PIN to access the dashboard.',
-        fields: [{ name: 'pin', label: 'PIN', type: 'password', placeholder: 'Enter your PIN', required: true, autocomplete: 'current-password' }],
-        submitText: 'Login',
-        error: 'Please enter your PIN.'
-      });
+      return renderLoginPage({ error: 'Please enter your PIN.' });
     }
     
-    // Check PIN - env var takes priority (plaintext), then KV (hashed)
-    let isValidPin = false;
-    
-    if (env.APP_PIN) {
-      // Compare against plaintext env var (convert to string for comparison)
-      isValidPin = (pin === String(env.APP_PIN));
-    } else {
-      // Compare against hashed KV value
-      const storedPinHash = await env.TASKS_KV.get('config_app_pin');
-      if (storedPinHash) {
-        const inputPinHash = await hashPin(pin);
-        isValidPin = (inputPinHash === storedPinHash);
-      }
+    // Admin PIN first, then the optional viewer PIN
+    let role = null;
+    if (await checkPin(env, pin, env.APP_PIN, 'config_app_pin')) {
+      role = 'admin';
+    } else if (await checkPin(env, pin, env.VIEWER_PIN, 'config_viewer_pin')) {
+      role = 'viewer';
     }
+    const isValidPin = role !== null;
     
     if (!isValidPin) {
-      return renderAuthPage({
-        title: 'Login',
-        subtitle: 'Enter your PIN to access the dashboard.',
-        fields: [{ name: 'pin', label: 'PIN', type: 'password', placeholder: 'Enter your PIN', required: true, autocomplete: 'current-password' }],
-        submitText: 'Login',
-        error: 'Incorrect PIN. Please try again.'
+      await appendLoginAudit(env, request, ip, 'failure');
+      const failure = await recordLoginFailure(env, ip);
+      if (failure.lockoutMs > 0) {
+        return renderLoginPage({ lockoutMs: failure.lockoutMs });
+      }
+      return renderLoginPage({
+        error: `Incorrect PIN. ${failure.attemptsLeft} attempt${failure.attemptsLeft === 1 ? '' : 's'} left before a temporary lockout.`
       });
     }
     
+    // Only the admin PIN resets the counters: otherwise anyone with the viewer PIN could log
+    // in between batches of admin guesses and never hit a lockout
+    if (role === 'admin') await clearLoginFailures(env, ip);
+    await appendLoginAudit(env, request, ip, 'success', role);
+
     // Create session and redirect
-    const session = await createSession(env);
+    const session = await createSession(env, request, role);
     return new Response(null, {
       status: 302,
       headers: {
@@ -504,14 +1177,123 @@ async function handleLoginPost(request, env, url) {
     
   } catch (error) {
     console.error('Login error:', error);
-    return renderAuthPage({
-      title: 'Login',
-      subtitle: 'Enter your PIN to access the dashboard.',
-      fields: [{ name: 'pin', label: 'PIN', type: 'password', placeholder: 'Enter your PIN', required: true, autocomplete: 'current-password' }],
-      submitText: 'Login',
-      error: `Login failed: ${error.message}`
-    });
+    return renderLoginPage({ error: `Login failed: ${error.message}` });
+  }
+}
+
+// Env var takes priority (plaintext), then storage (hashed). Legacy SHA-256 hashes are
+// upgraded on a successful match.
+async function checkPin(env, pin, envPin, storageKey) {
+  if (envPin) {
+    return timingSafeEqual(pin, String(envPin));
+  }
+
+  const store = getStorage(env);
+  const storedPinHash = await store.get(storageKey);
+  if (!storedPinHash) return false;
+
+  const result = await verifyPin(pin, storedPinHash);
+  if (result.valid && result.needsUpgrade) {
+    await store.put(storageKey, await hashPin(pin));
+  }
+  return result.valid;
+}
+
+// =============================================================================
+// Login Protection - Failed-attempt lockout + audit log
+// =============================================================================
+// Failure counters live per IP (`login_failures_ip_<ip>`) and globally (`login_failures_global`).
+// Each stores { count, lockedUntil } and expires after LOGIN_FAILURE_TTL without failures.
+
+function getClientIp(request) {
+  return request.headers.get('CF-Connecting-IP') || 'unknown';
+}
+
+function lockoutDuration(count, freeAttempts) {
+  if (count < freeAttempts) return 0;
+  return Math.min(LOGIN_BASE_LOCKOUT * 2 ** (count - freeAttempts), LOGIN_MAX_LOCKOUT);
+}
+
+function formatLockout(ms) {
+  const secs = Math.ceil(ms / 1000);
+  if (secs < 60) return `${secs} second${secs === 1 ? '' : 's'}`;
+  const mins = Math.ceil(secs / 60);
+  return `${mins} minute${mins === 1 ? '' : 's'}`;
+}
+
+async function loadLoginFailures(env, key) {
+  const json = await getStorage(env).get(key);
+  return json ? JSON.parse(json) : { count: 0, lockedUntil: 0 };
+}
+
+// Milliseconds until login is allowed again for this IP (0 = not locked)
+async function getLoginLockout(env, ip) {
+  const [ipState, globalState] = await Promise.all([
+    loadLoginFailures(env, `login_failures_ip_${ip}`),
+    loadLoginFailures(env, 'login_failures_global')
+  ]);
+  return Math.max(0, Math.max(ipState.lockedUntil, globalState.lockedUntil) - Date.now());
+}
+
+async function recordLoginFailure(env, ip) {
+  const store = getStorage(env);
+  const now = Date.now();
+  const counters = [
+    { key: `login_failures_ip_${ip}`, free: LOGIN_FREE_ATTEMPTS },
+    { key: 'login_failures_global', free: LOGIN_GLOBAL_FREE_ATTEMPTS }
+  ];
+
+  let lockedUntil = 0;
+  let attemptsLeft = Infinity;
+  for (const { key, free } of counters) {
+    const state = await loadLoginFailures(env, key);
+    state.count++;
+    const duration = lockoutDuration(state.count, free);
+    if (duration > 0) state.lockedUntil = now + duration;
+    await store.put(key, JSON.stringify(state), { ttl: LOGIN_FAILURE_TTL });
+
+    lockedUntil = Math.max(lockedUntil, duration > 0 ? state.lockedUntil : 0);
+    attemptsLeft = Math.min(attemptsLeft, free - state.count);
   }
+
+  return { lockoutMs: Math.max(0, lockedUntil - now), attemptsLeft: Math.max(0, attemptsLeft) };
+}
+
+async function clearLoginFailures(env, ip) {
+  const store = getStorage(env);
+  await store.delete(`login_failures_ip_${ip}`);
+  await store.delete('login_failures_global');
+}
+
+// Outcome is 'success', 'failure' or 'locked' (attempt refused during a lockout)
+async function appendLoginAudit(env, request, ip, outcome, role = null) {
+  const store = getStorage(env);
+  const json = await store.get('login_audit');
+  const entries = json ? JSON.parse(json) : [];
+  entries.unshift({
+    at: new Date().toISOString(),
+    ip,
+    outcome,
+    role,
+    userAgent: (request.headers.get('User-Agent') || '').slice(0, 200)
+  });
+  await store.put('login_audit', JSON.stringify(entries.slice(0, LOGIN_AUDIT_LIMIT)));
+}
+
+// Recent login attempts (newest first) plus current lockout state, for Settings
+async function handleLoginAudit(request, env) {
+  const ip = getClientIp(request);
+  const [json, globalState, lockoutMs] = await Promise.all([
+    getStorage(env).get('login_audit'),
+    loadLoginFailures(env, 'login_failures_global'),
+    getLoginLockout(env, ip)
+  ]);
+
+  return new Response(JSON.stringify({
+    entries: json ? JSON.parse(json) : [],
+    recentFailures: globalState.count,
+    lockedUntil: lockoutMs > 0 ? new Date(Date.now() + lockoutMs).toISOString() : null
+  }), { headers: corsHeaders() });
 }
 
 // =============================================================================
@@ -523,7 +1305,7 @@ function handleCors() {
     headers: {
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
     }
   });
 }
@@ -535,6 +1317,18 @@ function corsHeaders() {
   };
 }
 
+// Compare two strings without short-circuiting on the first mismatch
+function timingSafeEqual(a, b) {
+  const encoder = new TextEncoder();
+  const aBytes = encoder.encode(String(a));
+  const bBytes = encoder.encode(String(b));
+  let diff = aBytes.length ^ bBytes.length;
+  for (let i = 0; i < aBytes.length; i++) {
+    diff |= aBytes[i] ^ (bBytes[i % (bBytes.length || 1)] || 0);
+  }
+  return diff === 0;
+}
+
 // =============================================================================
 // Project Prefix Generation
 // =============================================================================
@@ -589,6 +1383,7 @@ function generateAllPrefixes(projects) {
 
 // Get organization info from API or cache/env
 async function getOrganizationInfo(env) {
+  const store = getStorage(env);
   const config = await getConfig(env);
   const apiToken = config.apiToken;
   
@@ -601,7 +1396,7 @@ async function getOrganizationInfo(env) {
   }
   
   // Check cache
-  const cachedOrg = await env.TASKS_KV.get('organization_info');
+  const cachedOrg = await store.get('organization_info');
   if (cachedOrg) {
     return JSON.parse(cachedOrg);
   }
@@ -646,23 +1441,24 @@ async function getOrganizationInfo(env) {
   console.log('Detected organization:', orgInfo);
   
   // Cache it
-  await env.TASKS_KV.put('organization_info', JSON.stringify(orgInfo));
+  await store.put('organization_info', JSON.stringify(orgInfo));
   
   return orgInfo;
 }
 
 // Get the current user's person ID from API or cache
 async function getPersonId(env, orgId) {
+  const store = getStorage(env);
   const config = await getConfig(env);
   const apiToken = config.apiToken;
   
   // Check if we have it cached in KV
-  const cached = await env.TASKS_KV.get('current_person_id');
+  const cached = await store.get('current_person_id');
   if (cached) return cached;
   
   // Check if hardcoded in env (fallback)
   if (env.PRODUCTIVE_PERSON_ID) {
-    await env.TASKS_KV.put('current_person_id', env.PRODUCTIVE_PERSON_ID);
+    await store.put('current_person_id', env.PRODUCTIVE_PERSON_ID);
     return env.PRODUCTIVE_PERSON_ID;
   }
   
@@ -693,18 +1489,85 @@ async function getPersonId(env, orgId) {
   const personName = person.attributes.name || person.attributes.email;
   
   // Cache it
-  await env.TASKS_KV.put('current_person_id', personId);
-  await env.TASKS_KV.put('current_person_name', personName);
+  await store.put('current_person_id', personId);
+  await store.put('current_person_name', personName);
   
   console.log(`Detected person ID: ${personId} (${personName})`);
   return personId;
 }
 
-async function updateTaskDatabase(env, onProgress = null, sendEvent = null, isManualSync = true, abortSignal = null) {
+// One JSON:API request to Productive.io for the on-demand routes (time tracking, task
+// detail); throws with the upstream status so handlers can pass it through
+async function productiveApi(env, path, { method = 'GET', body } = {}) {
   const config = await getConfig(env);
-  const apiToken = config.apiToken;
-  
-  if (!apiToken) {
+  if (!config.apiToken) {
+    throw Object.assign(new Error(config.tokenError || 'API token not configured'), { status: 500 });
+  }
+  const { orgId } = await getOrganizationInfo(env);
+
+  const response = await fetch(`https://api.productive.io/api/v2${path}`, {
+    method,
+    headers: {
+      'X-Auth-Token': config.apiToken,
+      'Content-Type': 'application/vnd.api+json',
+      'X-Organization-Id': orgId
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw Object.assign(new Error(`API error ${response.status}: ${errorText}`), { status: response.status });
+  }
+  const text = await response.text();
+  return text ? JSON.parse(text) : null;
+}
+
+// Statuses of each workflow the tasks use, so status quick-actions only offer valid
+// transitions. Returns { [workflowId]: [{ id, name, categoryId, position }] } in board order.
+async function fetchWorkflowStatuses(headers, workflowIds) {
+  const workflows = {};
+  for (const workflowId of workflowIds) {
+    const response = await fetch(
+      `https://api.productive.io/api/v2/workflow_statuses?filter[workflow_id]=${workflowId}&page[size]=200`,
+      { headers }
+    );
+    if (!response.ok) {
+      throw new Error(`API error ${response.status} fetching workflow ${workflowId}`);
+    }
+    const data = await response.json();
+    workflows[workflowId] = data.data
+      .map(item => ({
+        id: item.id,
+        name: item.attributes.name,
+        categoryId: item.attributes.category_id ?? null,
+        position: item.attributes.position ?? 0
+      }))
+      .sort((a, b) => a.position - b.position);
+  }
+  return workflows;
+}
+
+// Let `promise` finish after the response where the runtime allows it (ctx.waitUntil), else
+// wait for it here. Failures are logged, never thrown at the caller.
+async function runInBackground(ctx, label, promise) {
+  const guarded = promise.catch(error => console.error(`${label} failed:`, error));
+  if (ctx?.waitUntil) {
+    ctx.waitUntil(guarded);
+  } else {
+    await guarded;
+  }
+}
+
+// mode: 'full' re-fetches every subscribed/assigned task and marks missing ones Deleted;
+// 'delta' only fetches tasks updated since the last sync and merges them into the stored set.
+// A delta request is promoted to full when there is no cursor yet or a reconciliation is due.
+// Push notifications and webhook digests go out via ctx.waitUntil once everything is saved.
+async function updateTaskDatabase(env, onProgress = null, sendEvent = null, isManualSync = true, abortSignal = null, mode = 'full', ctx = null) {
+  const store = getStorage(env);
+  const config = await getConfig(env);
+  const apiToken = config.apiToken;
+  
+  if (!apiToken) {
     throw new Error('PRODUCTIVE_API_TOKEN not configured');
   }
   
@@ -722,10 +1585,24 @@ async function updateTaskDatabase(env, onProgress = null, sendEvent = null, isMa
   };
 
   // Load existing tasks to preserve deleted ones
-  const existingTasksJson = await env.TASKS_KV.get('all_tasks');
-  const existingTasks = existingTasksJson ? JSON.parse(existingTasksJson) : [];
+  const existingTasks = await store.tasks.all() || [];
   const existingTasksMap = new Map(existingTasks.map(t => [t.id, t]));
 
+  // Resolve sync mode
+  const [syncCursor, lastFullSync] = await Promise.all([
+    store.get('sync_cursor'),
+    store.get('last_full_sync')
+  ]);
+  const fullSyncInterval = env.FULL_SYNC_INTERVAL_HOURS
+    ? Number(env.FULL_SYNC_INTERVAL_HOURS) * 60 * 60 * 1000
+    : FULL_SYNC_INTERVAL;
+  const fullSyncDue = !lastFullSync || (Date.now() - new Date(lastFullSync).getTime()) >= fullSyncInterval;
+  const isDelta = mode === 'delta' && !!syncCursor && existingTasks.length > 0 && !fullSyncDue;
+  const updatedSince = isDelta
+    ? new Date(new Date(syncCursor).getTime() - DELTA_SYNC_OVERLAP).toISOString()
+    : null;
+  const syncStartedAt = new Date().toISOString();
+
   let taskMap = new Map();  // Use map to dedupe by task ID
   let allProjects = new Map();
   let allStatuses = new Set();
@@ -747,6 +1624,7 @@ async function updateTaskDatabase(env, onProgress = null, sendEvent = null, isMa
       const url = `${baseUrl}?page[number]=${page}&page[size]=200` +
         `&include=assignee,project,workflow_status,parent_task,task_list.board` +
         `&filter[${filterParam}]=${filterValue}` +
+        (updatedSince ? `&filter[updated_at][gt_eq]=${encodeURIComponent(updatedSince)}` : '') +
         `&sort=-id`;             // Fetch newest tasks first
 
       console.log(`Fetching ${filterParam}=${filterValue} page ${page}...`);
@@ -763,6 +1641,7 @@ async function updateTaskDatabase(env, onProgress = null, sendEvent = null, isMa
       const peopleMap = {};
       const projectMap = {};
       const statusMap = {};
+      const workflowMap = {};  // workflow status ID -> workflow ID
 
       const includedTasks = {};
 
@@ -778,6 +1657,7 @@ async function updateTaskDatabase(env, onProgress = null, sendEvent = null, isMa
         }
         if (item.type === 'workflow_statuses') {
           statusMap[item.id] = item.attributes.name;
+          workflowMap[item.id] = item.relationships?.workflow?.data?.id || null;
         }
         if (item.type === 'tasks') {
           includedTasks[item.id] = {
@@ -825,6 +1705,8 @@ async function updateTaskDatabase(env, onProgress = null, sendEvent = null, isMa
           projectId: projectId,
           project: projectMap[projectId] || 'No Project',
           status: status,
+          statusId: statusId || null,
+          workflowId: workflowMap[statusId] || null,
           assigneeId: assigneeId || null,
           assignee: peopleMap[assigneeId] || 'Unassigned',
           dueDate: task.attributes.due_date,
@@ -866,7 +1748,7 @@ async function updateTaskDatabase(env, onProgress = null, sendEvent = null, isMa
     }
   }
 
-  // Fetch BOTH subscribed AND assigned tasks
+  // Fetch BOTH subscribed AND assigned tasks (delta: only those updated since the cursor)
   if (personId) {
     await fetchTasksWithFilter('subscriber_id', personId, 'subscribed');
     await fetchTasksWithFilter('assignee_id', personId, 'assigned');
@@ -881,14 +1763,16 @@ async function updateTaskDatabase(env, onProgress = null, sendEvent = null, isMa
 
   // Preserve tasks from previous sync that are no longer in API
   // - Manual ghosts (_manual: true) survive untouched (the user pinned them; full sync only fetches subscribed/assigned)
-  // - Other KV-only tasks get marked as Deleted
+  // - Delta sync keeps every task it didn't re-fetch (absence only means "unchanged")
+  // - Otherwise previously stored tasks get marked as Deleted
+  const fetchedCount = taskMap.size;
   for (const [taskId, existingTask] of existingTasksMap) {
     if (!taskMap.has(taskId)) {
-      if (existingTask._manual) {
-        // Manual ghost: keep as-is. Surface its project & status into the filter sets.
+      if (existingTask._manual || isDelta) {
+        // Keep as-is. Surface its project & status into the filter sets.
         taskMap.set(taskId, existingTask);
         if (existingTask.status) allStatuses.add(existingTask.status);
-        if (existingTask.projectId && !allProjects.has(existingTask.projectId)) {
+        if (existingTask.projectId && !existingTask._deleted && !allProjects.has(existingTask.projectId)) {
           allProjects.set(existingTask.projectId, { id: existingTask.projectId, name: existingTask.project });
         }
         if (existingTask.assigneeId && existingTask.assignee) {
@@ -912,7 +1796,16 @@ async function updateTaskDatabase(env, onProgress = null, sendEvent = null, isMa
 
   const allTasks = [...taskMap.values()].sort((a, b) => b.id - a.id);
 
-  // Check for cancellation before committing to KV writes
+  // Workflow statuses for the status quick-actions menu (non-fatal: the menu just stays empty)
+  let workflows = null;
+  try {
+    const workflowIds = [...new Set(allTasks.map(t => t.workflowId).filter(Boolean))];
+    workflows = await fetchWorkflowStatuses(headers, workflowIds);
+  } catch (error) {
+    console.error('Workflow status fetch failed:', error.message);
+  }
+
+  // Check for cancellation before committing to storage writes
   if (abortSignal?.aborted) throw new DOMException('Sync cancelled', 'AbortError');
 
   // Signal processing phase (all pages fetched, now saving)
@@ -930,26 +1823,54 @@ async function updateTaskDatabase(env, onProgress = null, sendEvent = null, isMa
     task.ticketKey = `${prefix}-${task.ticketNumber}`;
   }
 
-  // Store everything in KV
-  await env.TASKS_KV.put('all_tasks', JSON.stringify(allTasks));
-  await env.TASKS_KV.put('prefix_map', JSON.stringify(prefixMap));
-  await env.TASKS_KV.put('prefix_index', JSON.stringify(prefixIndex));
-  await env.TASKS_KV.put('last_updated', new Date().toISOString());
-  await env.TASKS_KV.put('task_count', allTasks.length.toString());
+  // Store everything (replaceAll also updates task_count)
+  await store.tasks.replaceAll(allTasks);
+  await rebuildSearchIndex(store, allTasks);
+  if (workflows) await store.put('workflow_statuses', JSON.stringify(workflows));
+  await store.put('prefix_map', JSON.stringify(prefixMap));
+  await store.put('prefix_index', JSON.stringify(prefixIndex));
+  await store.put('last_updated', new Date().toISOString());
+
+  // Next delta sync picks up from when this one started
+  await store.put('sync_cursor', syncStartedAt);
+  if (!isDelta) {
+    await store.put('last_full_sync', syncStartedAt);
+  }
+
+  // Record what this sync changed relative to the previously stored tasks
+  const history = { newIds: [], updatedIds: [], deletedIds: [], changes: {} };
+  for (const task of allTasks) {
+    const previous = existingTasksMap.get(task.id);
+    if (!previous) {
+      if (!task._deleted) history.newIds.push(String(task.id));
+    } else if (task._deleted && !previous._deleted) {
+      history.deletedIds.push(String(task.id));
+    } else if (!task._deleted && previous.updatedAt !== task.updatedAt) {
+      history.updatedIds.push(String(task.id));
+      const changes = taskFieldChanges(previous, task);
+      if (changes) history.changes[task.id] = changes;
+    }
+  }
+  const historyEntry = await store.history.append({
+    syncedAt: syncStartedAt,
+    source: isManualSync ? 'manual' : 'cron',
+    mode: isDelta ? 'delta' : 'full',
+    ...history
+  });
 
   // Count assigned tasks for stats
   const assignedCount = allTasks.filter(t => t.assigneeId === personId && !t._deleted).length;
-  await env.TASKS_KV.put('assigned_count', assignedCount.toString());
+  await store.put('assigned_count', assignedCount.toString());
   
   // Detect new and updated tasks
   // For What's New tracking, we compare against the manual sync baseline (not last sync)
   // This ensures cron syncs accumulate changes until next manual sync
-  const baselineJson = await env.TASKS_KV.get('manual_sync_baseline');
+  const baselineJson = await store.get('manual_sync_baseline');
   // Baseline is a simple { taskId: updatedAt } map for efficiency
   const baselineUpdatedAtMap = new Map(Object.entries(baselineJson ? JSON.parse(baselineJson) : {}));
   
   // Get existing accumulated changes (for cron syncs to merge with)
-  const existingChangedJson = await env.TASKS_KV.get('changed_task_ids');
+  const existingChangedJson = await store.get('changed_task_ids');
   const existingChangedIds = existingChangedJson ? new Set(JSON.parse(existingChangedJson).map(String)) : new Set();
   
   const changedTaskIds = [];
@@ -982,21 +1903,21 @@ async function updateTaskDatabase(env, onProgress = null, sendEvent = null, isMa
     for (const task of allTasks) {
       if (!task._deleted) baselineMap[task.id] = task.updatedAt;
     }
-    await env.TASKS_KV.put('manual_sync_baseline', JSON.stringify(baselineMap));
+    await store.put('manual_sync_baseline', JSON.stringify(baselineMap));
   } else {
     // Cron sync: accumulate changes (union of existing + new)
     const mergedSet = new Set([...existingChangedIds, ...changedTaskIds]);
     finalChangedIds = [...mergedSet];
   }
   
-  // Store changed task IDs in KV
-  await env.TASKS_KV.put('changed_task_ids', JSON.stringify(finalChangedIds));
-  await env.TASKS_KV.put('new_task_ids', JSON.stringify(newTaskIds));
-  await env.TASKS_KV.put('updated_task_ids', JSON.stringify(updatedTaskIds));
+  // Store changed task IDs
+  await store.put('changed_task_ids', JSON.stringify(finalChangedIds));
+  await store.put('new_task_ids', JSON.stringify(newTaskIds));
+  await store.put('updated_task_ids', JSON.stringify(updatedTaskIds));
   
   // Store filter options for the UI
-  await env.TASKS_KV.put('filter_statuses', JSON.stringify([...allStatuses].sort()));
-  await env.TASKS_KV.put('filter_assignees', JSON.stringify(
+  await store.put('filter_statuses', JSON.stringify([...allStatuses].sort()));
+  await store.put('filter_assignees', JSON.stringify(
     [...allAssignees.entries()].map(([id, name]) => ({ id, name })).sort((a, b) => a.name.localeCompare(b.name))
   ));
   
@@ -1006,7 +1927,7 @@ async function updateTaskDatabase(env, onProgress = null, sendEvent = null, isMa
     name: p.name,
     prefix: prefixMap[p.id] || 'UNKN'
   })).sort((a, b) => a.name.localeCompare(b.name));
-  await env.TASKS_KV.put('filter_projects', JSON.stringify(projectsWithNames));
+  await store.put('filter_projects', JSON.stringify(projectsWithNames));
 
   // Store boards for filter/grouping
   const allBoardsMap = new Map();
@@ -1015,17 +1936,38 @@ async function updateTaskDatabase(env, onProgress = null, sendEvent = null, isMa
       allBoardsMap.set(task.boardId, { id: task.boardId, name: task.boardName });
     }
   }
-  await env.TASKS_KV.put('filter_boards', JSON.stringify(
+  await store.put('filter_boards', JSON.stringify(
     [...allBoardsMap.values()].sort((a, b) => a.name.localeCompare(b.name))
   ));
 
+  // Store known task lists (with their board and project) for the New task form
+  const allTaskListsMap = new Map();
+  for (const task of allTasks) {
+    if (task.taskListId && task.taskListName && !task._deleted && !allTaskListsMap.has(task.taskListId)) {
+      allTaskListsMap.set(task.taskListId, taskListEntry(task));
+    }
+  }
+  await store.put('filter_task_lists', JSON.stringify(
+    [...allTaskListsMap.values()].sort((a, b) => a.name.localeCompare(b.name))
+  ));
+
   // Store current user's person ID for "assigned to me" filter
-  await env.TASKS_KV.put('current_person_id', personId);
+  await store.put('current_person_id', personId);
+
+  // Push notifications (skipped on the very first sync, when every task would look new) and
+  // webhook digests, now that What's New and the filters reflect this sync
+  const baseline = existingTasks.length === 0;
+  await runInBackground(ctx, 'Sync notifications', (async () => {
+    if (!baseline) await notifyTaskChanges(env, existingTasksMap, allTasks, { checkOverdue: true });
+    await deliverSyncDigests(env, allTasks, historyEntry, { baseline });
+  })());
 
   const activeCount = allTasks.filter(t => !t._deleted).length;
   const deletedCount = allTasks.filter(t => t._deleted).length;
 
   return {
+    mode: isDelta ? 'delta' : 'full',
+    fetchedCount,
     taskCount: allTasks.length,
     assignedCount,
     activeCount,
@@ -1038,6 +1980,75 @@ async function updateTaskDatabase(env, onProgress = null, sendEvent = null, isMa
   };
 }
 
+// =============================================================================
+// Search Index
+// =============================================================================
+// Only write paths touch the index. Full and delta syncs reconcile every shard with the stored
+// tasks (comparing each task with its index stamp), which repairs anything that slipped through
+// (a lost race, an edit that skipped the patch); webhooks and single-task syncs patch their own
+// shard. Searches only read the shards and never write.
+
+// One entry per shard, null where it is missing or from an older version
+async function loadSearchIndexShards(store) {
+  const jsons = await Promise.all(
+    Array.from({ length: SEARCH_INDEX_SHARD_COUNT }, (_, n) => store.get(searchIndexShardKey(n)))
+  );
+  return jsons.map(json => {
+    const shard = json ? JSON.parse(json) : null;
+    return isSearchIndexShardCurrent(shard) ? shard : null;
+  });
+}
+
+// Only shards whose entries changed are rewritten
+async function rebuildSearchIndex(store, tasks) {
+  const [previous, legacy] = await Promise.all([loadSearchIndexShards(store), store.get(SEARCH_INDEX_KEY)]);
+  const tasksByShard = Array.from({ length: SEARCH_INDEX_SHARD_COUNT }, () => []);
+  for (const task of tasks) tasksByShard[searchIndexShardOf(task.id)].push(task);
+
+  await Promise.all(previous.map(async (shard, n) => {
+    const changed = reconcileSearchIndexShard(shard || (shard = createSearchIndexShard()), tasksByShard[n]);
+    if (!changed && previous[n]) return;
+    await store.put(searchIndexShardKey(n), JSON.stringify(shard));
+  }));
+  if (legacy !== null) await store.delete(SEARCH_INDEX_KEY);
+}
+
+async function patchSearchIndex(store, upserts = [], removedIds = []) {
+  const changes = new Map();
+  const changesFor = id => {
+    const n = searchIndexShardOf(id);
+    if (!changes.has(n)) changes.set(n, { upserts: [], removedIds: [] });
+    return changes.get(n);
+  };
+  for (const task of upserts) changesFor(task.id).upserts.push(task);
+  for (const id of removedIds) changesFor(id).removedIds.push(id);
+
+  let missing = false;
+  await Promise.all([...changes].map(async ([n, change]) => {
+    const json = await store.get(searchIndexShardKey(n));
+    const shard = json ? JSON.parse(json) : null;
+    if (!isSearchIndexShardCurrent(shard)) {
+      missing = true;
+      return;
+    }
+    await store.put(searchIndexShardKey(n),
+      JSON.stringify(updateSearchIndexShard(shard, change.upserts, change.removedIds)));
+  }));
+
+  // A shard that was never built (or is from an older version) can't be patched: build them all
+  if (missing) await rebuildSearchIndex(store, await store.tasks.all() || []);
+}
+
+// Read-only: a shard missing before the first sync is indexed in memory for this search alone
+async function getSearchIndex(store, tasks) {
+  const shards = await loadSearchIndexShards(store);
+  if (shards.some(shard => !shard)) {
+    const built = buildSearchIndexShards(tasks);
+    shards.forEach((shard, n) => { if (!shard) shards[n] = built[n]; });
+  }
+  return combineSearchIndexShards(shards);
+}
+
 // =============================================================================
 // Search Functions
 // =============================================================================
@@ -1063,10 +2074,16 @@ function parseSearchQuery(query) {
   return { text: normalized };
 }
 
-function searchTasks(tasks, prefixIndex, query) {
+// Exact lookups (key / number) run in the storage backend (SQL on D1, in-memory on KV)
+// and come back newest first; text searches come back in relevance order
+async function searchTasks(store, prefixIndex, query, context = {}) {
   if (!query || query.trim() === '') {
-    // Return most recent tasks (sorted by ID desc)
-    return tasks.sort((a, b) => b.id - a.id);
+    return store.tasks.query();
+  }
+
+  // Query language (status:"In Progress" assignee:me -is:ghost ...) is evaluated over all tasks
+  if (queryEngine.isStructured(query)) {
+    return queryEngine.filter(await store.tasks.query(), query, context);
   }
 
   const parsed = parseSearchQuery(query);
@@ -1075,9 +2092,7 @@ function searchTasks(tasks, prefixIndex, query) {
   if (parsed.prefix && parsed.number !== undefined) {
     const projectId = prefixIndex[parsed.prefix];
     if (projectId) {
-      const result = tasks.filter(t =>
-        t.projectId === projectId && t.ticketNumber === parsed.number
-      );
+      const result = await store.tasks.query({ projectId, ticketNumber: parsed.number });
       if (result.length > 0) return result;
     }
     // If exact match not found, fall through to fuzzy search
@@ -1085,20 +2100,195 @@ function searchTasks(tasks, prefixIndex, query) {
 
   // Search by just number
   if (parsed.number !== undefined && !parsed.prefix) {
-    const exactMatch = tasks.filter(t => t.ticketNumber === parsed.number);
+    const exactMatch = await store.tasks.query({ ticketNumber: parsed.number });
     if (exactMatch.length > 0) return exactMatch;
   }
 
-  // Fuzzy text search
-  const q = parsed.text || query.toLowerCase();
-  return tasks.filter(task =>
-    task.ticketNumber.toString().includes(q) ||
-    task.ticketKey.toLowerCase().includes(q) ||
-    task.title.toLowerCase().includes(q) ||
-    task.status.toLowerCase().includes(q) ||
-    task.assignee.toLowerCase().includes(q) ||
-    task.project.toLowerCase().includes(q)
-  ).sort((a, b) => b.id - a.id);
+  // Ranked, typo-tolerant text search (each result carries `score` and `highlights`)
+  const tasks = await store.tasks.query();
+  const index = await getSearchIndex(store, tasks);
+  return searchWithIndex(index, tasks, query);
+}
+
+// -----------------------------------------------------------------------------
+// Search filters, facets, sorting and paging (/api/search)
+// -----------------------------------------------------------------------------
+
+// Comma-separated list param ("PRIM,WEB") → array, or null when absent
+function listParam(params, name) {
+  const raw = params.get(name);
+  if (!raw) return null;
+  const values = raw.split(',').map(v => v.trim()).filter(Boolean);
+  return values.length > 0 ? values : null;
+}
+
+function parseSearchParams(params) {
+  const paged = params.has('page') || params.has('pageSize');
+  const pageSize = Math.min(
+    Math.max(parseInt(params.get('pageSize'), 10) || SEARCH_DEFAULT_PAGE_SIZE, 1),
+    SEARCH_MAX_PAGE_SIZE
+  );
+  const sort = params.get('sort') || 'default';
+  const due = params.get('due') || '';
+  const resolved = params.get('resolved') || '';
+  // Browser's Date#getTimezoneOffset() (minutes behind UTC), so "today" is the user's day
+  const tzOffset = parseInt(params.get('tzOffset'), 10) || 0;
+
+  return {
+    projects: listParam(params, 'project'),
+    statuses: listParam(params, 'status'),
+    assignee: params.get('assignee') || '',
+    due: due === 'custom' || DUE_BUCKETS.includes(due) ? due : '',
+    dueDate: /^\d{4}-\d{2}-\d{2}$/.test(params.get('dueDate') || '') ? params.get('dueDate') : '',
+    dueExact: params.get('dueExact') === '1' || params.get('dueExact') === 'true',
+    resolved: resolved === 'exclude' || resolved === 'only' ? resolved : '',
+    changedOnly: params.get('changed') === '1' || params.get('changed') === 'true',
+    sort: SEARCH_SORTS.includes(sort) ? sort : 'default',
+    paged,
+    page: paged ? Math.max(parseInt(params.get('page'), 10) || 1, 1) : 1,
+    pageSize,
+    tzOffset,
+    today: localDateString(Date.now() - tzOffset * 60000)
+  };
+}
+
+// YYYY-MM-DD of a UTC-shifted timestamp; due dates are compared as plain strings
+function localDateString(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function addDays(dateString, days) {
+  return localDateString(Date.parse(dateString + 'T00:00:00Z') + days * 86400000);
+}
+
+// Same bucket boundaries as the dashboard's Due dropdown ("today" includes overdue)
+function dueBuckets(dueDate, today) {
+  if (!dueDate) return ['none'];
+  const due = dueDate.slice(0, 10);
+  const buckets = [];
+  if (due < today) buckets.push('overdue');
+  if (due <= today) buckets.push('today');
+  if (due >= today) {
+    if (due < addDays(today, 7)) buckets.push('week');
+    if (due < addDays(today, 30)) buckets.push('month');
+    if (due < addDays(today, 365)) buckets.push('year');
+  }
+  return buckets;
+}
+
+// One predicate per facet dimension, so each facet can be counted with every *other*
+// filter applied (picking a project still shows counts for the other projects)
+function buildSearchPredicates(filters, context) {
+  const predicates = [];
+  if (filters.projects) {
+    predicates.push({ dim: 'project', test: t => filters.projects.includes(t.projectPrefix) });
+  }
+  if (filters.statuses) {
+    predicates.push({ dim: 'status', test: t => filters.statuses.includes(t.status) });
+  }
+  if (filters.assignee) {
+    const target = filters.assignee === 'me' ? context.personId : filters.assignee;
+    predicates.push({
+      dim: 'assignee',
+      test: filters.assignee === 'none'
+        ? t => !t.assigneeId
+        : t => !!target && String(t.assigneeId) === String(target)
+    });
+  }
+  if (filters.due === 'custom') {
+    if (filters.dueDate) {
+      predicates.push({
+        dim: 'due',
+        test: t => !!t.dueDate && (filters.dueExact
+          ? t.dueDate.slice(0, 10) === filters.dueDate
+          : t.dueDate.slice(0, 10) <= filters.dueDate)
+      });
+    }
+  } else if (filters.due) {
+    predicates.push({ dim: 'due', test: t => dueBuckets(t.dueDate, filters.today).includes(filters.due) });
+  }
+  if (filters.resolved) {
+    const wantResolved = filters.resolved === 'only';
+    predicates.push({ dim: 'resolved', test: t => queryEngine.isResolved(t.status) === wantResolved });
+  }
+  if (filters.changedOnly) {
+    predicates.push({ dim: 'new', test: t => context.changedIds.has(String(t.id)) });
+  }
+  return predicates;
+}
+
+// Filters tasks and counts facets in one pass. A task that fails exactly one predicate
+// still counts towards that predicate's own facet.
+function filterWithFacets(tasks, predicates, filters, context) {
+  const facets = {
+    projects: {},
+    statuses: {},
+    assignees: {},
+    due: Object.fromEntries(DUE_BUCKETS.map(b => [b, 0])),
+    resolved: 0,
+    new: 0
+  };
+  const bump = (map, key) => { map[key] = (map[key] || 0) + 1; };
+  const matched = [];
+
+  for (const task of tasks) {
+    const failed = predicates.filter(p => !p.test(task));
+    if (failed.length > 1) continue;
+    const only = failed.length === 1 ? failed[0].dim : null;
+
+    if (!only) matched.push(task);
+    if (!only || only === 'project') bump(facets.projects, task.projectPrefix || 'UNKN');
+    if (!only || only === 'status') bump(facets.statuses, task.status || 'Unknown');
+    if (!only || only === 'assignee') bump(facets.assignees, task.assigneeId ? String(task.assigneeId) : 'none');
+    if (!only || only === 'due') {
+      for (const bucket of dueBuckets(task.dueDate, filters.today)) facets.due[bucket]++;
+    }
+    if ((!only || only === 'resolved') && queryEngine.isResolved(task.status)) facets.resolved++;
+    if ((!only || only === 'new') && context.changedIds.has(String(task.id))) facets.new++;
+  }
+
+  return { matched, facets };
+}
+
+// Missing dates sort last in every date order
+function compareDates(a, b, direction) {
+  if (!a && !b) return 0;
+  if (!a) return 1;
+  if (!b) return -1;
+  return direction * (new Date(a) - new Date(b));
+}
+
+function sortSearchResults(tasks, sort) {
+  if (sort === 'default') return tasks;  // storage order: newest ID first
+  return tasks.sort((a, b) => {
+    switch (sort) {
+      case 'project-asc':
+        return (a.project || '').localeCompare(b.project || '');
+      case 'board':
+        return (a.boardName || '\uffff').localeCompare(b.boardName || '\uffff') ||
+          (a.taskListName || '\uffff').localeCompare(b.taskListName || '\uffff') ||
+          b.id - a.id;
+      case 'due-asc':
+        return compareDates(a.dueDate, b.dueDate, 1);
+      case 'created-desc':
+        return compareDates(a.createdAt, b.createdAt, -1);
+      case 'updated-desc':
+        return compareDates(a.updatedAt, b.updatedAt, -1);
+      default:
+        return 0;
+    }
+  });
+}
+
+// Flag subtasks whose parent isn't stored at all, so a paged client can still render the
+// parent as a ghost card without holding every task in memory
+async function markMissingParents(store, pageTasks, knownIds) {
+  const candidates = [...new Set(pageTasks
+    .map(t => t.parent?.id ? String(t.parent.id) : null)
+    .filter(id => id && !knownIds.has(id)))];
+  const found = await Promise.all(candidates.map(id => store.tasks.get(id)));
+  const missing = new Set(candidates.filter((_, i) => !found[i]));
+  return pageTasks.map(t => (t.parent?.id && missing.has(String(t.parent.id)) ? { ...t, parentMissing: true } : t));
 }
 
 // =============================================================================
@@ -1106,6 +2296,7 @@ function searchTasks(tasks, prefixIndex, query) {
 // =============================================================================
 
 async function handleBrowse(url, env) {
+  const store = getStorage(env);
   const match = url.pathname.match(/^\/browse\/([A-Z]+)-(\d+)$/i);
 
   if (!match) {
@@ -1118,20 +2309,19 @@ async function handleBrowse(url, env) {
   const [, prefix, number] = match;
   const ticketNumber = number;  // Keep as string since API returns it as string
 
-  // Load data from KV
-  const [tasksJson, prefixIndexJson] = await Promise.all([
-    env.TASKS_KV.get('all_tasks'),
-    env.TASKS_KV.get('prefix_index')
+  // Load data from storage
+  const [lastUpdated, prefixIndexJson] = await Promise.all([
+    store.get('last_updated'),
+    store.get('prefix_index')
   ]);
 
-  if (!tasksJson) {
+  if (!lastUpdated) {
     return new Response(
       'Database not initialized. Please trigger /update first.',
       { status: 503, headers: { 'Content-Type': 'text/plain' } }
     );
   }
 
-  const tasks = JSON.parse(tasksJson);
   const prefixIndex = JSON.parse(prefixIndexJson || '{}');
 
   // Find project ID for this prefix
@@ -1144,10 +2334,8 @@ async function handleBrowse(url, env) {
     );
   }
 
-  // Find task by project + ticket number (compare as strings)
-  const task = tasks.find(t =>
-    t.projectId === projectId && String(t.ticketNumber) === String(ticketNumber)
-  );
+  // Find task by project + ticket number
+  const [task] = await store.tasks.query({ projectId, ticketNumber });
 
   if (!task) {
     return new Response(
@@ -1161,15 +2349,17 @@ async function handleBrowse(url, env) {
 }
 
 async function handleSearch(url, env) {
+  const store = getStorage(env);
   const query = url.searchParams.get('q') || '';
 
-  const [tasksJson, prefixIndexJson, lastUpdated] = await Promise.all([
-    env.TASKS_KV.get('all_tasks'),
-    env.TASKS_KV.get('prefix_index'),
-    env.TASKS_KV.get('last_updated')
+  const [prefixIndexJson, lastUpdated, currentPersonId, changedIdsJson] = await Promise.all([
+    store.get('prefix_index'),
+    store.get('last_updated'),
+    store.get('current_person_id'),
+    store.get('changed_task_ids')
   ]);
 
-  if (!tasksJson) {
+  if (!lastUpdated) {
     return new Response(JSON.stringify({
       error: 'Database not initialized',
       tasks: [],
@@ -1177,23 +2367,51 @@ async function handleSearch(url, env) {
     }), { headers: corsHeaders() });
   }
 
-  const tasks = JSON.parse(tasksJson);
   const prefixIndex = JSON.parse(prefixIndexJson || '{}');
-  const results = searchTasks(tasks, prefixIndex, query);
+  const filters = parseSearchParams(url.searchParams);
+  const context = {
+    personId: currentPersonId || null,
+    changedIds: new Set(JSON.parse(changedIdsJson || '[]').map(String)),
+    tzOffset: filters.tzOffset
+  };
+  const [results, total] = await Promise.all([
+    searchTasks(store, prefixIndex, query, context),
+    store.tasks.count()
+  ]);
+
+  const predicates = buildSearchPredicates(filters, context);
+  const { matched, facets } = filterWithFacets(results, predicates, filters, context);
+  sortSearchResults(matched, filters.sort);
+
+  // Without page/pageSize every match is returned (the original behaviour for scripts)
+  const pageSize = filters.paged ? filters.pageSize : Math.max(matched.length, 1);
+  const pages = Math.max(Math.ceil(matched.length / pageSize), 1);
+  const page = Math.min(filters.page, pages);
+  const pageTasks = matched.slice((page - 1) * pageSize, page * pageSize);
+
+  // An empty query searched everything, so the results double as the full ID set
+  const knownIds = new Set((query.trim() ? pageTasks : results).map(t => String(t.id)));
+  const tasks = await markMissingParents(store, pageTasks, knownIds);
 
   return new Response(JSON.stringify({
     query,
-    tasks: results,
-    count: results.length,
-    total: tasks.length,
+    tasks,
+    count: matched.length,
+    total,
+    page,
+    pageSize,
+    pages,
+    sort: filters.sort,
+    facets,
     lastUpdated
   }), { headers: corsHeaders() });
 }
 
 async function handlePrefixes(env) {
+  const store = getStorage(env);
   const [prefixMapJson, prefixIndexJson] = await Promise.all([
-    env.TASKS_KV.get('prefix_map'),
-    env.TASKS_KV.get('prefix_index')
+    store.get('prefix_map'),
+    store.get('prefix_index')
   ]);
 
   return new Response(JSON.stringify({
@@ -1203,13 +2421,16 @@ async function handlePrefixes(env) {
 }
 
 async function handleFilters(env) {
-  const [projectsJson, statusesJson, assigneesJson, currentPersonId, changedIdsJson, boardsJson] = await Promise.all([
-    env.TASKS_KV.get('filter_projects'),
-    env.TASKS_KV.get('filter_statuses'),
-    env.TASKS_KV.get('filter_assignees'),
-    env.TASKS_KV.get('current_person_id'),
-    env.TASKS_KV.get('changed_task_ids'),
-    env.TASKS_KV.get('filter_boards')
+  const store = getStorage(env);
+  const [projectsJson, statusesJson, assigneesJson, currentPersonId, changedIdsJson, boardsJson, workflowsJson, taskListsJson] = await Promise.all([
+    store.get('filter_projects'),
+    store.get('filter_statuses'),
+    store.get('filter_assignees'),
+    store.get('current_person_id'),
+    store.get('changed_task_ids'),
+    store.get('filter_boards'),
+    store.get('workflow_statuses'),
+    store.get('filter_task_lists')
   ]);
 
   return new Response(JSON.stringify({
@@ -1218,11 +2439,23 @@ async function handleFilters(env) {
     assignees: JSON.parse(assigneesJson || '[]'),
     currentPersonId: currentPersonId || null,
     changedTaskIds: JSON.parse(changedIdsJson || '[]'),
-    boards: JSON.parse(boardsJson || '[]')
+    boards: JSON.parse(boardsJson || '[]'),
+    workflows: JSON.parse(workflowsJson || '{}'),
+    taskLists: JSON.parse(taskListsJson || '[]')
   }), { headers: corsHeaders() });
 }
 
+// Sync history: what each cron/manual/webhook sync added, changed or deleted
+async function handleHistory(url, env) {
+  const since = url.searchParams.get('since') || null;
+  const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit')) || 50, 1), 500);
+  const entries = await getStorage(env).history.list({ since, limit });
+
+  return new Response(JSON.stringify({ entries, count: entries.length }), { headers: corsHeaders() });
+}
+
 async function handleSettings(request, env) {
+  const store = getStorage(env);
   if (request.method !== 'POST') {
     return new Response(JSON.stringify({ error: 'Method not allowed' }), {
       status: 405,
@@ -1243,7 +2476,7 @@ async function handleSettings(request, env) {
     
     switch (action) {
       case 'title':
-        await env.TASKS_KV.put('config_page_title', value.trim());
+        await store.put('config_page_title', value.trim());
         return new Response(JSON.stringify({ success: true }), { headers: corsHeaders() });
         
       case 'pin':
@@ -1253,13 +2486,54 @@ async function handleSettings(request, env) {
             headers: corsHeaders()
           });
         }
+        if (await checkPin(env, value, env.VIEWER_PIN, 'config_viewer_pin')) {
+          return new Response(JSON.stringify({ error: 'Admin PIN must differ from the viewer PIN' }), {
+            status: 400,
+            headers: corsHeaders()
+          });
+        }
         const hashedPin = await hashPin(value);
-        await env.TASKS_KV.put('config_app_pin', hashedPin);
+        await store.put('config_app_pin', hashedPin);
         return new Response(JSON.stringify({ success: true }), { headers: corsHeaders() });
         
+      case 'viewer_pin': {
+        // Empty value removes the viewer PIN (and signs out viewer sessions)
+        if (value === '') {
+          await store.delete('config_viewer_pin');
+          await revokeSessions(env, e => e.role === 'viewer');
+          return new Response(JSON.stringify({ success: true }), { headers: corsHeaders() });
+        }
+        if (!/^\d{4,8}$/.test(value)) {
+          return new Response(JSON.stringify({ error: 'PIN must be 4-8 digits' }), {
+            status: 400,
+            headers: corsHeaders()
+          });
+        }
+        if (await checkPin(env, value, env.APP_PIN, 'config_app_pin')) {
+          return new Response(JSON.stringify({ error: 'Viewer PIN must differ from the admin PIN' }), {
+            status: 400,
+            headers: corsHeaders()
+          });
+        }
+        await store.put('config_viewer_pin', await hashPin(value));
+        return new Response(JSON.stringify({ success: true }), { headers: corsHeaders() });
+      }
+
       case 'remote_search_enabled':
-        await env.TASKS_KV.put('config_remote_search_enabled', value === true || value === 'true' ? 'true' : 'false');
+        await store.put('config_remote_search_enabled', value === true || value === 'true' ? 'true' : 'false');
+        return new Response(JSON.stringify({ success: true }), { headers: corsHeaders() });
+
+      case 'digest_schedule': {
+        const timeZone = body.timeZone || 'UTC';
+        if (!['off', ...Object.keys(DIGEST_PERIODS)].includes(value) || !isValidTimeZone(timeZone)) {
+          return new Response(JSON.stringify({ error: 'Schedule must be off, daily or weekly with a valid time zone' }), {
+            status: 400,
+            headers: corsHeaders()
+          });
+        }
+        await store.put('config_digest_schedule', JSON.stringify({ schedule: value, timeZone }));
         return new Response(JSON.stringify({ success: true }), { headers: corsHeaders() });
+      }
 
       case 'token':
         // Validate token by making a test request
@@ -1277,11 +2551,31 @@ async function handleSettings(request, env) {
           });
         }
         
-        await env.TASKS_KV.put('config_api_token', value);
+        await store.put('config_api_token', await encryptSecret(env, value));
         // Clear cached org info so it's re-fetched with new token
-        await env.TASKS_KV.delete('organization_info');
-        await env.TASKS_KV.delete('current_person_id');
+        await store.delete('organization_info');
+        await store.delete('current_person_id');
+        return new Response(JSON.stringify({ success: true }), { headers: corsHeaders() });
+        
+      case 'reencrypt_token': {
+        // Key rotation: decrypt with whichever key matches, re-encrypt with the current one
+        const { current } = await getEncryptionKeys(env);
+        if (!current) {
+          return new Response(JSON.stringify({ error: 'Set the TOKEN_ENCRYPTION_KEY secret first' }), {
+            status: 400,
+            headers: corsHeaders()
+          });
+        }
+        const stored = await store.get('config_api_token');
+        if (!stored) {
+          return new Response(JSON.stringify({ error: 'No API token is stored (it comes from an environment variable)' }), {
+            status: 400,
+            headers: corsHeaders()
+          });
+        }
+        await store.put('config_api_token', await encryptSecret(env, await decryptSecret(env, stored)));
         return new Response(JSON.stringify({ success: true }), { headers: corsHeaders() });
+      }
         
       default:
         return new Response(JSON.stringify({ error: 'Unknown action' }), {
@@ -1297,7 +2591,13 @@ async function handleSettings(request, env) {
   }
 }
 
-async function handleSyncTask(request, env) {
+// List (GET), create and revoke (POST { action }) personal API keys
+async function handleApiKeys(request, env) {
+  if (request.method === 'GET') {
+    const keys = await loadApiKeys(env);
+    return new Response(JSON.stringify({ keys: keys.map(describeApiKey) }), { headers: corsHeaders() });
+  }
+
   if (request.method !== 'POST') {
     return new Response(JSON.stringify({ error: 'Method not allowed' }), {
       status: 405, headers: corsHeaders()
@@ -1305,202 +2605,327 @@ async function handleSyncTask(request, env) {
   }
 
   try {
-    const { taskId } = await request.json();
-    if (!taskId) {
-      return new Response(JSON.stringify({ error: 'Missing taskId' }), {
-        status: 400, headers: corsHeaders()
-      });
-    }
+    const { action, name, scope, id } = await request.json();
+    const keys = await loadApiKeys(env);
 
-    const config = await getConfig(env);
-    const apiToken = config.apiToken;
-    if (!apiToken) {
-      return new Response(JSON.stringify({ error: 'API token not configured' }), {
-        status: 500, headers: corsHeaders()
-      });
-    }
+    switch (action) {
+      case 'create': {
+        const trimmedName = (name || '').trim();
+        if (!trimmedName || trimmedName.length > 60) {
+          return new Response(JSON.stringify({ error: 'Name must be 1-60 characters' }), {
+            status: 400, headers: corsHeaders()
+          });
+        }
+        if (scope !== 'read' && scope !== 'write') {
+          return new Response(JSON.stringify({ error: 'Scope must be "read" or "write"' }), {
+            status: 400, headers: corsHeaders()
+          });
+        }
+        if (keys.length >= API_KEY_LIMIT) {
+          return new Response(JSON.stringify({ error: `At most ${API_KEY_LIMIT} API keys allowed` }), {
+            status: 400, headers: corsHeaders()
+          });
+        }
 
-    const { orgId, orgSlug } = await getOrganizationInfo(env);
+        const token = API_KEY_PREFIX + generateSessionToken();
+        const key = {
+          id: crypto.randomUUID(),
+          name: trimmedName,
+          scope,
+          hint: token.slice(0, API_KEY_PREFIX.length + 6),
+          hash: await hashApiKey(token),
+          createdAt: new Date().toISOString(),
+          lastUsedAt: null
+        };
+        keys.push(key);
+        await saveApiKeys(env, keys);
 
-    // Fetch single task from Productive.io
-    const response = await fetch(
-      `https://api.productive.io/api/v2/tasks/${taskId}?include=assignee,project,workflow_status,parent_task,task_list.board`,
-      {
-        headers: {
-          'X-Auth-Token': apiToken,
-          'Content-Type': 'application/vnd.api+json',
-          'X-Organization-Id': orgId
-        }
+        // The plaintext key is only ever returned here
+        return new Response(JSON.stringify({ success: true, key: token, apiKey: describeApiKey(key) }), {
+          headers: corsHeaders()
+        });
       }
-    );
 
-    if (!response.ok) {
-      // Handle 404 — task was deleted from Productive
-      if (response.status === 404) {
-        const tasksJson = await env.TASKS_KV.get('all_tasks');
-        const allTasks = tasksJson ? JSON.parse(tasksJson) : [];
-        const idx = allTasks.findIndex(t => String(t.id) === String(taskId));
-        if (idx !== -1) {
-          allTasks[idx] = { ...allTasks[idx], status: 'Deleted', _deleted: true };
-          await env.TASKS_KV.put('all_tasks', JSON.stringify(allTasks));
-          return new Response(JSON.stringify({ success: true, task: allTasks[idx], deleted: true }), {
-            headers: corsHeaders()
+      case 'revoke': {
+        const remaining = keys.filter(k => k.id !== id);
+        if (remaining.length === keys.length) {
+          return new Response(JSON.stringify({ error: 'API key not found' }), {
+            status: 404, headers: corsHeaders()
           });
         }
-        return new Response(JSON.stringify({ error: 'Task not found in API or local database' }), {
-          status: 404, headers: corsHeaders()
-        });
+        await saveApiKeys(env, remaining);
+        return new Response(JSON.stringify({ success: true }), { headers: corsHeaders() });
       }
-      const errorText = await response.text();
-      return new Response(JSON.stringify({ error: `API error ${response.status}: ${errorText}` }), {
-        status: response.status, headers: corsHeaders()
-      });
+
+      default:
+        return new Response(JSON.stringify({ error: 'Unknown action' }), {
+          status: 400, headers: corsHeaders()
+        });
     }
+  } catch (error) {
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: 500, headers: corsHeaders()
+    });
+  }
+}
 
-    const data = await response.json();
-    const task = data.data;
+// Keep only the search parameters a view can carry, in a stable order
+function normalizeViewQuery(query) {
+  const input = new URLSearchParams(query || '');
+  const output = new URLSearchParams();
+  for (const name of SAVED_VIEW_PARAMS) {
+    const value = input.get(name);
+    if (value) output.set(name, value.slice(0, 500));
+  }
+  return output.toString();
+}
 
-    // Build lookup maps from included data
-    const peopleMap = {};
-    const projectMap = {};
-    const statusMap = {};
+async function loadSavedViews(env) {
+  const json = await getStorage(env).get('saved_views');
+  return json ? JSON.parse(json) : [];
+}
 
-    let parentInc = null;
-    let taskListInfo = null;
-    let syncBoardName = null;
+// List (GET) and create/update/delete (POST { action }) saved views.
+// Everyone signed in can use views; only admins can change them (POST needs 'write').
+async function handleSavedViews(request, env) {
+  if (request.method === 'GET') {
+    return new Response(JSON.stringify({ views: await loadSavedViews(env) }), { headers: corsHeaders() });
+  }
 
-    (data.included || []).forEach(item => {
-      if (item.type === 'people') peopleMap[item.id] = item.attributes.name || item.attributes.email || 'Unknown';
-      if (item.type === 'projects') projectMap[item.id] = item.attributes.name;
-      if (item.type === 'workflow_statuses') statusMap[item.id] = item.attributes.name;
-      if (item.type === 'tasks') {
-        parentInc = {
-          number: item.attributes.number,
-          title: item.attributes.title,
-          status: item.attributes.workflow_status_name || null,
-          dueDate: item.attributes.due_date,
-          createdAt: item.attributes.created_at,
-          updatedAt: item.attributes.updated_at
-        };
-      }
-      if (item.type === 'task_lists') {
-        const boardRel = item.relationships?.board?.data;
-        taskListInfo = {
-          id: item.id,
-          name: item.attributes.name,
-          boardId: boardRel?.id || null
-        };
-      }
-      if (item.type === 'boards') {
-        syncBoardName = item.attributes.name;
-      }
+  if (request.method !== 'POST') {
+    return new Response(JSON.stringify({ error: 'Method not allowed' }), {
+      status: 405, headers: corsHeaders()
     });
+  }
 
-    const assigneeId = task.relationships?.assignee?.data?.id;
-    const projectId = task.relationships?.project?.data?.id;
-    const statusId = task.relationships?.workflow_status?.data?.id;
-    const parentId = task.relationships?.parent_task?.data?.id || null;
-    const taskListId = task.relationships?.task_list?.data?.id || null;
-
-    // Load prefix map for ticket key generation
-    const prefixMapJson = await env.TASKS_KV.get('prefix_map');
-    const prefixMap = JSON.parse(prefixMapJson || '{}');
-    const prefix = prefixMap[projectId] || 'UNKN';
-
-    const updatedTask = {
-      id: task.id,
-      ticketNumber: task.attributes.number,
-      title: task.attributes.title,
-      projectId: projectId,
-      project: projectMap[projectId] || 'No Project',
-      projectPrefix: prefix,
-      ticketKey: `${prefix}-${task.attributes.number}`,
-      status: statusMap[statusId] || task.attributes.workflow_status_name || 'Unknown',
-      assigneeId: assigneeId || null,
-      assignee: peopleMap[assigneeId] || 'Unassigned',
-      dueDate: task.attributes.due_date,
-      createdAt: task.attributes.created_at,
-      updatedAt: task.attributes.updated_at,
-      taskListId: taskListId,
-      taskListName: taskListInfo?.name || null,
-      boardId: taskListInfo?.boardId || null,
-      boardName: syncBoardName || null,
-      parent: parentId ? {
-        id: parentId,
-        number: parentInc?.number || null,
-        title: parentInc?.title || null,
-        status: parentInc?.status || null,
-        dueDate: parentInc?.dueDate || null,
-        createdAt: parentInc?.createdAt || null,
-        updatedAt: parentInc?.updatedAt || null
-      } : null,
-      url: `https://app.productive.io/${orgId}-${orgSlug}/tasks/task/${task.id}`,
-      _deleted: false
-    };
+  try {
+    const { action, id, name, query } = await request.json();
+    const views = await loadSavedViews(env);
+    const trimmedName = typeof name === 'string' ? name.trim() : '';
+    const nameTaken = (otherId) => views.some(v =>
+      v.id !== otherId && v.name.toLowerCase() === trimmedName.toLowerCase());
 
-    // Check if user is subscribed or assigned to this task
-    const personId = await env.TASKS_KV.get('current_person_id');
-    const isAssigned = assigneeId === personId;
-    const subscribers = task.relationships?.subscribers?.data || [];
-    const isSubscribed = subscribers.some(s => s.id === personId);
-
-    const tasksJson = await env.TASKS_KV.get('all_tasks');
-    const allTasks = tasksJson ? JSON.parse(tasksJson) : [];
-
-    const idx = allTasks.findIndex(t => String(t.id) === String(taskId));
-    const alreadyInKV = idx !== -1;
-
-    if (alreadyInKV || isAssigned || isSubscribed) {
-      // Task is ours (or was ours) — update/add in KV
-      if (alreadyInKV) {
-        // Preserve board name from existing task (single-task sync can't batch-fetch boards)
-        const existing = allTasks[idx];
-        if (!updatedTask.boardName && existing.boardName && existing.boardId === updatedTask.boardId) {
-          updatedTask.boardName = existing.boardName;
-        }
-        // Preserve the _manual flag UNLESS the user is now subscribed/assigned (auto-promote)
-        const wasManual = !!allTasks[idx]._manual;
-        const stillManual = wasManual && !isAssigned && !isSubscribed;
-        allTasks[idx] = stillManual ? { ...updatedTask, _manual: true } : updatedTask;
-      } else {
-        allTasks.unshift(updatedTask);
+    switch (action) {
+      case 'create': {
+        if (!trimmedName || trimmedName.length > 60) {
+          return new Response(JSON.stringify({ error: 'Name must be 1-60 characters' }), {
+            status: 400, headers: corsHeaders()
+          });
+        }
+        if (nameTaken(null)) {
+          return new Response(JSON.stringify({ error: 'A view with that name already exists' }), {
+            status: 400, headers: corsHeaders()
+          });
+        }
+        if (views.length >= SAVED_VIEW_LIMIT) {
+          return new Response(JSON.stringify({ error: `At most ${SAVED_VIEW_LIMIT} saved views allowed` }), {
+            status: 400, headers: corsHeaders()
+          });
+        }
+        const now = new Date().toISOString();
+        const view = { id: crypto.randomUUID(), name: trimmedName, query: normalizeViewQuery(query), createdAt: now, updatedAt: now };
+        views.push(view);
+        await getStorage(env).put('saved_views', JSON.stringify(views));
+        return new Response(JSON.stringify({ success: true, view }), { headers: corsHeaders() });
       }
-      await env.TASKS_KV.put('all_tasks', JSON.stringify(allTasks));
-
-      return new Response(JSON.stringify({ success: true, task: allTasks[idx !== -1 ? idx : 0] }), {
-        headers: corsHeaders()
-      });
-    } else {
-      // True ghost — never in KV, not subscribed/assigned
-      // Only update parent {} on children
-      const parentData = {
-        id: task.id,
-        number: task.attributes.number,
-        title: task.attributes.title,
-        status: statusMap[statusId] || task.attributes.workflow_status_name || 'Unknown',
-        assigneeId: assigneeId || null,
-        assignee: peopleMap[assigneeId] || 'Unassigned',
-        dueDate: task.attributes.due_date,
-        createdAt: task.attributes.created_at,
-        updatedAt: task.attributes.updated_at
-      };
 
-      let updated = 0;
-      for (const t of allTasks) {
-        if (t.parent?.id === taskId) {
-          t.parent = parentData;
-          updated++;
+      case 'update': {
+        const view = views.find(v => v.id === id);
+        if (!view) {
+          return new Response(JSON.stringify({ error: 'View not found' }), {
+            status: 404, headers: corsHeaders()
+          });
+        }
+        if (name !== undefined) {
+          if (!trimmedName || trimmedName.length > 60) {
+            return new Response(JSON.stringify({ error: 'Name must be 1-60 characters' }), {
+              status: 400, headers: corsHeaders()
+            });
+          }
+          if (nameTaken(id)) {
+            return new Response(JSON.stringify({ error: 'A view with that name already exists' }), {
+              status: 400, headers: corsHeaders()
+            });
+          }
+          view.name = trimmedName;
         }
+        if (query !== undefined) view.query = normalizeViewQuery(query);
+        view.updatedAt = new Date().toISOString();
+        await getStorage(env).put('saved_views', JSON.stringify(views));
+        return new Response(JSON.stringify({ success: true, view }), { headers: corsHeaders() });
       }
 
-      if (updated > 0) {
-        await env.TASKS_KV.put('all_tasks', JSON.stringify(allTasks));
+      case 'delete': {
+        const remaining = views.filter(v => v.id !== id);
+        if (remaining.length === views.length) {
+          return new Response(JSON.stringify({ error: 'View not found' }), {
+            status: 404, headers: corsHeaders()
+          });
+        }
+        await getStorage(env).put('saved_views', JSON.stringify(remaining));
+        return new Response(JSON.stringify({ success: true }), { headers: corsHeaders() });
       }
 
-      return new Response(JSON.stringify({ success: true, ghost: true, parentData, updatedChildren: updated }), {
-        headers: corsHeaders()
-      });
-    }
+      default:
+        return new Response(JSON.stringify({ error: 'Unknown action' }), {
+          status: 400, headers: corsHeaders()
+        });
+    }
+  } catch (error) {
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: 500, headers: corsHeaders()
+    });
+  }
+}
+
+async function handleSyncTask(request, env) {
+  if (request.method !== 'POST') {
+    return new Response(JSON.stringify({ error: 'Method not allowed' }), {
+      status: 405, headers: corsHeaders()
+    });
+  }
+
+  const { taskId } = await request.json().catch(() => ({}));
+  if (!taskId) {
+    return new Response(JSON.stringify({ error: 'Missing taskId' }), {
+      status: 400, headers: corsHeaders()
+    });
+  }
+  return syncTaskById(env, String(taskId));
+}
+
+// Move a task to another status of its own workflow, then refresh it via single-task sync
+async function handleTaskStatus(request, env) {
+  const store = getStorage(env);
+  if (request.method !== 'POST') {
+    return new Response(JSON.stringify({ error: 'Method not allowed' }), {
+      status: 405, headers: corsHeaders()
+    });
+  }
+
+  try {
+    const { taskId, statusId } = await request.json();
+    if (!taskId || !statusId) {
+      return new Response(JSON.stringify({ error: 'Missing taskId or statusId' }), {
+        status: 400, headers: corsHeaders()
+      });
+    }
+
+    const [task, workflowsJson] = await Promise.all([
+      store.tasks.get(String(taskId)),
+      store.get('workflow_statuses')
+    ]);
+    if (!task) {
+      return new Response(JSON.stringify({ error: 'Task not found' }), {
+        status: 404, headers: corsHeaders()
+      });
+    }
+    const statuses = JSON.parse(workflowsJson || '{}')[task.workflowId] || [];
+    if (!statuses.some(s => String(s.id) === String(statusId))) {
+      return new Response(JSON.stringify({ error: 'Status is not part of this task\'s workflow (try syncing first)' }), {
+        status: 400, headers: corsHeaders()
+      });
+    }
+
+    const config = await getConfig(env);
+    if (!config.apiToken) {
+      return new Response(JSON.stringify({ error: 'API token not configured' }), {
+        status: 500, headers: corsHeaders()
+      });
+    }
+    const { orgId } = await getOrganizationInfo(env);
+
+    const response = await fetch(`https://api.productive.io/api/v2/tasks/${task.id}`, {
+      method: 'PATCH',
+      headers: {
+        'X-Auth-Token': config.apiToken,
+        'Content-Type': 'application/vnd.api+json',
+        'X-Organization-Id': orgId
+      },
+      body: JSON.stringify({
+        data: {
+          type: 'tasks',
+          id: String(task.id),
+          relationships: {
+            workflow_status: { data: { type: 'workflow_statuses', id: String(statusId) } }
+          }
+        }
+      })
+    });
+    if (!response.ok) {
+      const errorText = await response.text();
+      return new Response(JSON.stringify({ error: `API error ${response.status}: ${errorText}` }), {
+        status: response.status, headers: corsHeaders()
+      });
+    }
+
+    return syncTaskById(env, String(task.id));
+  } catch (error) {
+    console.error('Task status error:', error);
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: 500, headers: corsHeaders()
+    });
+  }
+}
+
+// Re-fetch one task from Productive.io and store it (or, for a ghost parent, refresh the
+// parent data on its children). Shared by the card refresh button and task quick-actions.
+async function syncTaskById(env, taskId) {
+  const store = getStorage(env);
+  try {
+    const config = await getConfig(env);
+    const apiToken = config.apiToken;
+    if (!apiToken) {
+      return new Response(JSON.stringify({ error: 'API token not configured' }), {
+        status: 500, headers: corsHeaders()
+      });
+    }
+
+    const { orgId, orgSlug } = await getOrganizationInfo(env);
+
+    // Fetch single task from Productive.io
+    const response = await fetch(
+      `https://api.productive.io/api/v2/tasks/${taskId}?include=assignee,project,workflow_status,parent_task,task_list.board`,
+      {
+        headers: {
+          'X-Auth-Token': apiToken,
+          'Content-Type': 'application/vnd.api+json',
+          'X-Organization-Id': orgId
+        }
+      }
+    );
+
+    if (!response.ok) {
+      // Handle 404 — task was deleted from Productive
+      if (response.status === 404) {
+        const tombstone = await tombstoneTask(env, taskId);
+        if (tombstone) {
+          return new Response(JSON.stringify({ success: true, task: tombstone, deleted: true }), {
+            headers: corsHeaders()
+          });
+        }
+        return new Response(JSON.stringify({ error: 'Task not found in API or local database' }), {
+          status: 404, headers: corsHeaders()
+        });
+      }
+      const errorText = await response.text();
+      return new Response(JSON.stringify({ error: `API error ${response.status}: ${errorText}` }), {
+        status: response.status, headers: corsHeaders()
+      });
+    }
+
+    const data = await response.json();
+    const [prefixMapJson, personId] = await Promise.all([
+      store.get('prefix_map'),
+      store.get('current_person_id')
+    ]);
+    const result = await applySyncedTask(store, data.data, data.included, {
+      prefixMap: JSON.parse(prefixMapJson || '{}'), personId, orgId, orgSlug
+    });
+
+    return new Response(JSON.stringify({ success: true, ...result }), {
+      headers: corsHeaders()
+    });
 
   } catch (error) {
     console.error('Sync task error:', error);
@@ -1510,6 +2935,385 @@ async function handleSyncTask(request, env) {
   }
 }
 
+// Store one freshly fetched task. Tasks we track, are assigned to or subscribed on are upserted;
+// any other task is a ghost parent, and only its data on stored children is refreshed.
+// `context` holds what a batch shares: { prefixMap, personId, orgId, orgSlug, allTasks? }.
+async function applySyncedTask(store, task, included, context) {
+  const { prefixMap, personId, orgId, orgSlug } = context;
+  const projectId = task.relationships?.project?.data?.id;
+  const updatedTask = normalizeProductiveTask(task, included, prefixMap[projectId], orgId, orgSlug);
+
+  // Check if user is subscribed or assigned to this task
+  const isAssigned = !!personId && updatedTask.assigneeId === personId;
+  const subscribers = task.relationships?.subscribers?.data || [];
+  const isSubscribed = !!personId && subscribers.some(s => s.id === personId);
+
+  const existing = await store.tasks.get(task.id);
+
+  if (existing || isAssigned || isSubscribed) {
+    // Task is ours (or was ours) — update/add it (touches only this task's record)
+    let storedTask = updatedTask;
+    if (existing) {
+      // Preserve board name from existing task (single-task sync can't batch-fetch boards)
+      if (!updatedTask.boardName && existing.boardName && existing.boardId === updatedTask.boardId) {
+        updatedTask.boardName = existing.boardName;
+      }
+      // Preserve the _manual flag UNLESS the user is now subscribed/assigned (auto-promote)
+      const stillManual = !!existing._manual && !isAssigned && !isSubscribed;
+      storedTask = stillManual ? { ...updatedTask, _manual: true } : updatedTask;
+    }
+    await store.tasks.put(storedTask);
+    await patchSearchIndex(store, [storedTask]);
+    context.allTasks = null; // a batch's cached task list is stale now
+    return { task: storedTask };
+  }
+
+  // True ghost — never stored, not subscribed/assigned. Only update parent {} on children
+  const parentData = {
+    id: updatedTask.id,
+    number: updatedTask.ticketNumber,
+    title: updatedTask.title,
+    status: updatedTask.status,
+    assigneeId: updatedTask.assigneeId,
+    assignee: updatedTask.assignee,
+    dueDate: updatedTask.dueDate,
+    createdAt: updatedTask.createdAt,
+    updatedAt: updatedTask.updatedAt
+  };
+
+  // Children can live anywhere in the store; only they are rewritten
+  if (!context.allTasks) context.allTasks = await store.tasks.all() || [];
+  let updated = 0;
+  for (const [i, t] of context.allTasks.entries()) {
+    if (t.parent?.id === task.id) {
+      context.allTasks[i] = { ...t, parent: parentData };
+      await store.tasks.put(context.allTasks[i]);
+      updated++;
+    }
+  }
+  return { ghost: true, parentData, updatedChildren: updated };
+}
+
+// Fetch a batch of tasks with one filtered list request and store each the way single-task
+// sync does. IDs the list doesn't return (deleted, or hidden from list queries) fall back to
+// single-task sync, which tombstones real 404s. `onResult(taskId, event)` reports each task.
+async function refreshTasks(env, ids, onResult) {
+  const store = getStorage(env);
+  const { orgId, orgSlug } = await getOrganizationInfo(env);
+  const [prefixMapJson, personId] = await Promise.all([
+    store.get('prefix_map'),
+    store.get('current_person_id')
+  ]);
+  const context = { prefixMap: JSON.parse(prefixMapJson || '{}'), personId, orgId, orgSlug };
+
+  const data = await productiveApi(env,
+    `/tasks?filter[id]=${ids.join(',')}&include=assignee,project,workflow_status,parent_task,task_list.board` +
+    `&page[size]=${SYNC_TASKS_MAX}`
+  );
+  // A parent that is itself in the batch comes back as primary data, not in `included`
+  const included = [...(data?.data || []), ...(data?.included || [])];
+  const fetched = new Map((data?.data || []).map(task => [String(task.id), task]));
+
+  const counts = { updated: 0, ghost: 0, deleted: 0, failed: 0 };
+  for (const id of ids) {
+    let event;
+    try {
+      let result;
+      if (fetched.has(id)) {
+        result = await applySyncedTask(store, fetched.get(id), included, context);
+      } else {
+        const response = await syncTaskById(env, id);
+        result = await response.json();
+        if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+        context.allTasks = null;
+      }
+      const kind = result.deleted ? 'deleted' : result.ghost ? 'ghost' : 'updated';
+      counts[kind]++;
+      event = { result: kind, ticketKey: result.task?.ticketKey || null, updatedChildren: result.updatedChildren };
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      counts.failed++;
+      event = { result: 'error', error: error.message };
+    }
+    await onResult(id, event);
+  }
+  return counts;
+}
+
+// Stream a batch operation as Server-Sent Events. `run(sendEvent)` reports progress; a thrown
+// error becomes an `error` event and a client disconnect stops the run at its next event.
+function batchEventStream(request, label, run) {
+  const encoder = new TextEncoder();
+  const abortSignal = request.signal;
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      const sendEvent = (data) => {
+        if (abortSignal.aborted) throw new DOMException('Client disconnected', 'AbortError');
+        controller.enqueue(encoder.encode(`data: ${JSON.stringify(data)}\n\n`));
+      };
+      try {
+        await run(sendEvent);
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          console.log(`${label} cancelled by client`);
+        } else {
+          console.error(`${label} error:`, error);
+          sendEvent({ type: 'error', success: false, error: error.message });
+        }
+      } finally {
+        controller.close();
+      }
+    }
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'Access-Control-Allow-Origin': '*'
+    }
+  });
+}
+
+// Task IDs for a batch request: deduplicated strings, or an error message
+function parseBatchTaskIds(taskIds) {
+  const ids = [...new Set((Array.isArray(taskIds) ? taskIds : []).map(String))];
+  if (ids.length === 0 || ids.some(id => !/^\d+$/.test(id))) {
+    return { error: 'taskIds must be a non-empty list of task IDs' };
+  }
+  if (ids.length > SYNC_TASKS_MAX) {
+    return { error: `At most ${SYNC_TASKS_MAX} tasks per batch` };
+  }
+  return { ids };
+}
+
+// POST /api/sync-tasks {taskIds} → per-task refresh results as Server-Sent Events
+async function handleSyncTasks(request, env) {
+  if (request.method !== 'POST') {
+    return new Response(JSON.stringify({ error: 'Method not allowed' }), {
+      status: 405, headers: corsHeaders()
+    });
+  }
+
+  const { taskIds } = await request.json().catch(() => ({}));
+  const { ids, error } = parseBatchTaskIds(taskIds);
+  if (error) {
+    return new Response(JSON.stringify({ error }), {
+      status: 400, headers: corsHeaders()
+    });
+  }
+
+  const config = await getConfig(env);
+  if (!config.apiToken) {
+    return new Response(JSON.stringify({ error: 'API token not configured' }), {
+      status: 500, headers: corsHeaders()
+    });
+  }
+
+  return batchEventStream(request, 'Batch sync', async (sendEvent) => {
+    sendEvent({ type: 'connecting', message: `Fetching ${ids.length} tasks...`, total: ids.length });
+    const counts = await refreshTasks(env, ids, (taskId, event) => {
+      sendEvent({ type: 'task', taskId, ...event });
+    });
+    sendEvent({ type: 'complete', success: true, total: ids.length, ...counts });
+  });
+}
+
+// =============================================================================
+// Bulk Edit
+// =============================================================================
+
+// One change applied to many tasks. `current` reads the value off a Productive task resource
+// (what undo restores); `patch` builds the PATCH /tasks/:id payload for a value.
+const BULK_EDIT_FIELDS = {
+  assignee: {
+    current: task => task.relationships?.assignee?.data?.id || null,
+    patch: value => ({ relationships: { assignee: { data: value ? { type: 'people', id: value } : null } } })
+  },
+  dueDate: {
+    current: task => task.attributes?.due_date || null,
+    patch: value => ({ attributes: { due_date: value || null } })
+  },
+  status: {
+    current: task => task.relationships?.workflow_status?.data?.id || null,
+    patch: value => ({ relationships: { workflow_status: { data: { type: 'workflow_statuses', id: value } } } })
+  },
+  taskList: {
+    current: task => task.relationships?.task_list?.data?.id || null,
+    patch: value => ({ relationships: { task_list: { data: { type: 'task_lists', id: value } } } })
+  }
+};
+
+// Check a bulk edit value; returns an error message or null. Statuses are picked by name,
+// since the selected tasks may use different workflows.
+function validateBulkEditValue(field, value, taskLists) {
+  if (field === 'assignee') return value === null || /^\d+$/.test(value) ? null : 'Invalid assignee';
+  if (field === 'dueDate') return value === null || isDateString(value) ? null : 'dueDate must be YYYY-MM-DD';
+  if (field === 'status') return value ? null : 'Missing status';
+  if (!taskLists.some(l => String(l.id) === value)) return 'Unknown task list (try syncing first)';
+  return null;
+}
+
+// The value to write for one task, or throws: status names map to the task's own workflow,
+// and a task can only move to a task list of its own project
+function resolveBulkEditValue(field, value, task, { workflowOf, workflows, taskLists }) {
+  if (field === 'status') {
+    const statuses = workflows[workflowOf.get(String(task.relationships?.workflow_status?.data?.id))] || [];
+    const status = statuses.find(s => s.name.toLowerCase() === value.toLowerCase());
+    if (!status) throw new Error(`"${value}" is not a status of this task's workflow (try syncing first)`);
+    return String(status.id);
+  }
+  if (field === 'taskList') {
+    const list = taskLists.find(l => String(l.id) === value);
+    if (String(list.projectId) !== String(task.relationships?.project?.data?.id)) {
+      throw new Error('Task list belongs to another project');
+    }
+  }
+  return value;
+}
+
+// POST /api/bulk-edit
+//   {action: 'apply', taskIds, field, value} → change one field on every task
+//   {action: 'undo', undoId}                  → restore what an apply changed
+// Both stream per-task results as Server-Sent Events, then refresh the edited tasks.
+// An apply's `complete` event carries the undoId, kept for BULK_EDIT_UNDO_TTL. The undo
+// record is written once the edit loop stops, even if it stopped early (client gone):
+// an apply saves every change it made, an undo keeps the entries it couldn't restore
+// (and returns the undoId again so they can be retried) or deletes the record.
+async function handleBulkEdit(request, env) {
+  const store = getStorage(env);
+  if (request.method !== 'POST') {
+    return new Response(JSON.stringify({ error: 'Method not allowed' }), {
+      status: 405, headers: corsHeaders()
+    });
+  }
+
+  const body = await request.json().catch(() => ({}));
+  let field, changes, undoId, undoRecord = null;
+
+  if (body.action === 'apply') {
+    field = body.field;
+    if (!Object.hasOwn(BULK_EDIT_FIELDS, field)) {
+      return new Response(JSON.stringify({ error: 'field must be one of: ' + Object.keys(BULK_EDIT_FIELDS).join(', ') }), {
+        status: 400, headers: corsHeaders()
+      });
+    }
+    const { ids, error } = parseBatchTaskIds(body.taskIds);
+    const value = body.value === null || body.value === undefined || body.value === '' ? null : String(body.value).trim();
+    const taskLists = JSON.parse(await store.get('filter_task_lists') || '[]');
+    const invalid = error || validateBulkEditValue(field, value, taskLists);
+    if (invalid) {
+      return new Response(JSON.stringify({ error: invalid }), {
+        status: 400, headers: corsHeaders()
+      });
+    }
+    changes = ids.map(taskId => ({ taskId, value }));
+    undoId = crypto.randomUUID();
+  } else if (body.action === 'undo') {
+    undoId = String(body.undoId || '').replace(/[^a-f0-9-]/gi, '');
+    undoRecord = JSON.parse(await store.get(`bulk_edit_undo_${undoId}`) || 'null');
+    if (!undoRecord) {
+      return new Response(JSON.stringify({ error: 'Nothing to undo (already undone or expired)' }), {
+        status: 404, headers: corsHeaders()
+      });
+    }
+    field = undoRecord.field;
+    changes = undoRecord.changes;
+  } else {
+    return new Response(JSON.stringify({ error: 'Unknown action' }), {
+      status: 400, headers: corsHeaders()
+    });
+  }
+
+  const config = await getConfig(env);
+  if (!config.apiToken) {
+    return new Response(JSON.stringify({ error: 'API token not configured' }), {
+      status: 500, headers: corsHeaders()
+    });
+  }
+  const undoKey = `bulk_edit_undo_${undoId}`;
+
+  return batchEventStream(request, 'Bulk edit', async (sendEvent) => {
+    const ids = changes.map(c => c.taskId);
+    sendEvent({ type: 'connecting', message: `Editing ${ids.length} tasks...`, total: ids.length });
+
+    // Current values first: they are what undo restores, and statuses resolve per workflow
+    const [data, workflowsJson, taskListsJson] = await Promise.all([
+      productiveApi(env, `/tasks?filter[id]=${ids.join(',')}&include=workflow_status&page[size]=${SYNC_TASKS_MAX}`),
+      store.get('workflow_statuses'),
+      store.get('filter_task_lists')
+    ]);
+    const current = new Map((data?.data || []).map(task => [String(task.id), task]));
+    const lookups = {
+      workflowOf: new Map((data?.included || [])
+        .filter(item => item.type === 'workflow_statuses')
+        .map(item => [String(item.id), item.relationships?.workflow?.data?.id])),
+      workflows: JSON.parse(workflowsJson || '{}'),
+      taskLists: JSON.parse(taskListsJson || '[]')
+    };
+
+    const { current: currentValue, patch } = BULK_EDIT_FIELDS[field];
+    const undone = [];           // apply: what each changed task held before
+    const restored = new Set();  // undo: tasks back at their original value
+    const counts = { updated: 0, unchanged: 0, failed: 0 };
+    let undoLeft = 0;
+    try {
+      for (const change of changes) {
+        let event;
+        try {
+          const task = current.get(change.taskId);
+          if (!task) throw new Error('Task not found in Productive');
+          // Undo values are already exact IDs
+          const value = undoRecord ? change.value : resolveBulkEditValue(field, change.value, task, lookups);
+          const previous = currentValue(task);
+          if (previous === value) {
+            counts.unchanged++;
+            event = { result: 'unchanged' };
+          } else {
+            await productiveApi(env, `/tasks/${change.taskId}`, {
+              method: 'PATCH',
+              body: { data: { type: 'tasks', id: change.taskId, ...patch(value) } }
+            });
+            undone.push({ taskId: change.taskId, value: previous });
+            counts.updated++;
+            event = { result: 'updated' };
+          }
+          restored.add(change.taskId);
+        } catch (error) {
+          if (error.name === 'AbortError') throw error;
+          counts.failed++;
+          event = { result: 'error', error: error.message };
+        }
+        sendEvent({ type: 'task', taskId: change.taskId, ...event });
+      }
+    } finally {
+      if (undoRecord) {
+        const remaining = changes.filter(c => !restored.has(c.taskId));
+        undoLeft = remaining.length;
+        if (remaining.length === 0) {
+          await store.delete(undoKey);
+        } else if (remaining.length < changes.length) {
+          await store.put(undoKey, JSON.stringify({ ...undoRecord, changes: remaining }), { ttl: BULK_EDIT_UNDO_TTL });
+        }
+      } else if (undone.length > 0) {
+        await store.put(undoKey, JSON.stringify({ field, changes: undone, createdAt: new Date().toISOString() }), {
+          ttl: BULK_EDIT_UNDO_TTL
+        });
+      }
+    }
+
+    if (undone.length > 0) {
+      sendEvent({ type: 'processing', message: 'Refreshing edited tasks...' });
+      await refreshTasks(env, undone.map(c => c.taskId), () => {});
+    }
+
+    const undoAvailable = undoRecord ? undoLeft > 0 : undone.length > 0;
+    sendEvent({ type: 'complete', success: true, total: changes.length, ...counts, undoId: undoAvailable ? undoId : null });
+  });
+}
+
 // =============================================================================
 // Remote Search (Productive.io fallback) + Manual Ghost Task
 // =============================================================================
@@ -1520,6 +3324,7 @@ function normalizeProductiveTask(task, included, prefix, orgId, orgSlug) {
   const peopleMap = {};
   const projectMap = {};
   const statusMap = {};
+  const workflowMap = {};
   const includedTasks = {};
   const taskListMap = {};
   const boardMap = {};
@@ -1527,7 +3332,10 @@ function normalizeProductiveTask(task, included, prefix, orgId, orgSlug) {
   (included || []).forEach(item => {
     if (item.type === 'people') peopleMap[item.id] = item.attributes.name || item.attributes.email || 'Unknown';
     if (item.type === 'projects') projectMap[item.id] = item.attributes.name;
-    if (item.type === 'workflow_statuses') statusMap[item.id] = item.attributes.name;
+    if (item.type === 'workflow_statuses') {
+      statusMap[item.id] = item.attributes.name;
+      workflowMap[item.id] = item.relationships?.workflow?.data?.id || null;
+    }
     if (item.type === 'tasks') {
       includedTasks[item.id] = {
         number: item.attributes.number,
@@ -1568,6 +3376,8 @@ function normalizeProductiveTask(task, included, prefix, orgId, orgSlug) {
     projectPrefix: resolvedPrefix,
     ticketKey: `${resolvedPrefix}-${task.attributes.number}`,
     status: statusMap[statusId] || task.attributes.workflow_status_name || 'Unknown',
+    statusId: statusId || null,
+    workflowId: workflowMap[statusId] || null,
     assigneeId: assigneeId || null,
     assignee: peopleMap[assigneeId] || 'Unassigned',
     dueDate: task.attributes.due_date,
@@ -1620,6 +3430,7 @@ function parseRemoteQuery(query, prefixIndex) {
 }
 
 async function handleRemoteSearch(url, env) {
+  const store = getStorage(env);
   if (!(await isRemoteSearchEnabled(env))) {
     return new Response(JSON.stringify({ error: 'Remote search disabled' }), {
       status: 403, headers: corsHeaders()
@@ -1640,12 +3451,12 @@ async function handleRemoteSearch(url, env) {
     }
 
     const { orgId, orgSlug } = await getOrganizationInfo(env);
-    const [tasksJson, prefixIndexJson, prefixMapJson] = await Promise.all([
-      env.TASKS_KV.get('all_tasks'),
-      env.TASKS_KV.get('prefix_index'),
-      env.TASKS_KV.get('prefix_map')
+    const [storedTasks, prefixIndexJson, prefixMapJson] = await Promise.all([
+      store.tasks.all(),
+      store.get('prefix_index'),
+      store.get('prefix_map')
     ]);
-    const allTasks = tasksJson ? JSON.parse(tasksJson) : [];
+    const allTasks = storedTasks || [];
     const prefixIndex = JSON.parse(prefixIndexJson || '{}');
     const prefixMap = JSON.parse(prefixMapJson || '{}');
     const knownIds = new Set(allTasks.map(t => String(t.id)));
@@ -1701,6 +3512,7 @@ async function handleRemoteSearch(url, env) {
 }
 
 async function handleAddManualTask(request, env) {
+  const store = getStorage(env);
   if (request.method !== 'POST') {
     return new Response(JSON.stringify({ error: 'Method not allowed' }), {
       status: 405, headers: corsHeaders()
@@ -1752,14 +3564,13 @@ async function handleAddManualTask(request, env) {
     const task = data.data;
     const projectId = task.relationships?.project?.data?.id;
 
-    // Load existing prefix map / index and known tasks
-    const [tasksJson, prefixMapJson, prefixIndexJson, projectsJson] = await Promise.all([
-      env.TASKS_KV.get('all_tasks'),
-      env.TASKS_KV.get('prefix_map'),
-      env.TASKS_KV.get('prefix_index'),
-      env.TASKS_KV.get('filter_projects')
+    // Load existing prefix map / index and this task's stored copy (if any)
+    const [existing, prefixMapJson, prefixIndexJson, projectsJson] = await Promise.all([
+      store.tasks.get(taskId),
+      store.get('prefix_map'),
+      store.get('prefix_index'),
+      store.get('filter_projects')
     ]);
-    const allTasks = tasksJson ? JSON.parse(tasksJson) : [];
     const prefixMap = JSON.parse(prefixMapJson || '{}');
     const prefixIndex = JSON.parse(prefixIndexJson || '{}');
     const projectsList = JSON.parse(projectsJson || '[]');
@@ -1787,23 +3598,17 @@ async function handleAddManualTask(request, env) {
     normalized._manual = true;
 
     // Dedupe: if already in KV, just update in place (don't double-add)
-    const existingIdx = allTasks.findIndex(t => String(t.id) === String(normalized.id));
-    if (existingIdx !== -1) {
-      // Preserve _manual flag if it was already manual; otherwise leave as-is (subscribed/assigned)
-      const wasManual = allTasks[existingIdx]._manual;
-      allTasks[existingIdx] = wasManual ? normalized : { ...normalized, _manual: false };
-    } else {
-      allTasks.unshift(normalized);
-    }
+    // Preserve _manual flag if it was already manual; otherwise leave as-is (subscribed/assigned)
+    const storedTask = existing && !existing._manual ? { ...normalized, _manual: false } : normalized;
 
-    // Persist
-    await env.TASKS_KV.put('all_tasks', JSON.stringify(allTasks));
+    // Persist (putTask keeps task_count current)
+    await store.tasks.put(storedTask);
+    await patchSearchIndex(store, [storedTask]);
     if (prefixWasNew) {
-      await env.TASKS_KV.put('prefix_map', JSON.stringify(prefixMap));
-      await env.TASKS_KV.put('prefix_index', JSON.stringify(prefixIndex));
-      await env.TASKS_KV.put('filter_projects', JSON.stringify(projectsList));
+      await store.put('prefix_map', JSON.stringify(prefixMap));
+      await store.put('prefix_index', JSON.stringify(prefixIndex));
+      await store.put('filter_projects', JSON.stringify(projectsList));
     }
-    await env.TASKS_KV.put('task_count', String(allTasks.filter(t => !t._deleted).length));
 
     return new Response(JSON.stringify({ success: true, task: normalized }), { headers: corsHeaders() });
   } catch (error) {
@@ -1815,6 +3620,7 @@ async function handleAddManualTask(request, env) {
 }
 
 async function handleDeleteManualTask(request, env) {
+  const store = getStorage(env);
   if (request.method !== 'POST') {
     return new Response(JSON.stringify({ error: 'Method not allowed' }), {
       status: 405, headers: corsHeaders()
@@ -1828,25 +3634,22 @@ async function handleDeleteManualTask(request, env) {
       });
     }
 
-    const tasksJson = await env.TASKS_KV.get('all_tasks');
-    const allTasks = tasksJson ? JSON.parse(tasksJson) : [];
-    const idx = allTasks.findIndex(t => String(t.id) === String(taskId));
+    const existing = await store.tasks.get(taskId);
 
-    if (idx === -1) {
+    if (!existing) {
       return new Response(JSON.stringify({ error: 'Task not found' }), {
         status: 404, headers: corsHeaders()
       });
     }
-    if (!allTasks[idx]._manual) {
+    if (!existing._manual) {
       // Safety: only manual ghosts can be deleted from KV via this endpoint
       return new Response(JSON.stringify({ error: 'Only manually-added tasks can be deleted here' }), {
         status: 400, headers: corsHeaders()
       });
     }
 
-    allTasks.splice(idx, 1);
-    await env.TASKS_KV.put('all_tasks', JSON.stringify(allTasks));
-    await env.TASKS_KV.put('task_count', String(allTasks.filter(t => !t._deleted).length));
+    await store.tasks.remove(taskId);
+    await patchSearchIndex(store, [], [taskId]);
 
     return new Response(JSON.stringify({ success: true }), { headers: corsHeaders() });
   } catch (error) {
@@ -1857,10 +3660,880 @@ async function handleDeleteManualTask(request, env) {
   }
 }
 
-async function handleManualUpdate(request, env) {
-  // Use Server-Sent Events to stream progress
-  const encoder = new TextEncoder();
-  const abortSignal = request.signal;
+// =============================================================================
+// Time Tracking - Timer, time entries and the daily timesheet
+// =============================================================================
+
+// Productive stores whole minutes per entry; one entry can't exceed a day
+const TIME_ENTRY_MAX_MINUTES = 24 * 60;
+
+function isDateString(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value + 'T00:00:00Z'));
+}
+
+function isValidMinutes(value) {
+  return Number.isInteger(value) && value >= 1 && value <= TIME_ENTRY_MAX_MINUTES;
+}
+
+function normalizeTimeEntry(entry, included, tasksById) {
+  const lookup = {};
+  (included || []).forEach(item => { lookup[item.type + ':' + item.id] = item; });
+
+  const taskId = entry.relationships?.task?.data?.id || null;
+  const serviceId = entry.relationships?.service?.data?.id || null;
+  const stored = taskId ? tasksById[taskId] : null;
+  return {
+    id: entry.id,
+    date: entry.attributes.date,
+    minutes: entry.attributes.time || 0,
+    note: entry.attributes.note || '',
+    taskId,
+    ticketKey: stored?.ticketKey || null,
+    title: stored?.title || lookup['tasks:' + taskId]?.attributes?.title || null,
+    serviceId,
+    service: lookup['services:' + serviceId]?.attributes?.name || null
+  };
+}
+
+// The service a task books time against, as set on the task in Productive
+async function taskServiceId(env, taskId) {
+  const data = await productiveApi(env, `/tasks/${taskId}`);
+  return data.data.relationships?.service?.data?.id || null;
+}
+
+async function createTimeEntry(env, { task, serviceId, minutes, date, note }) {
+  const resolvedServiceId = serviceId || await taskServiceId(env, task.id);
+  if (!resolvedServiceId) {
+    throw Object.assign(new Error('This task has no service in Productive; pick one to book the time against'), { status: 400 });
+  }
+  const { orgId } = await getOrganizationInfo(env);
+  const personId = await getPersonId(env, orgId);
+
+  const data = await productiveApi(env, '/time_entries?include=task,service', {
+    method: 'POST',
+    body: {
+      data: {
+        type: 'time_entries',
+        attributes: { date, time: minutes, note: note || '' },
+        relationships: {
+          person: { data: { type: 'people', id: String(personId) } },
+          service: { data: { type: 'services', id: String(resolvedServiceId) } },
+          task: { data: { type: 'tasks', id: String(task.id) } }
+        }
+      }
+    }
+  });
+  return normalizeTimeEntry(data.data, data.included, { [String(task.id)]: task });
+}
+
+// Each session (or API key) has its own timer, so two devices can't overwrite each other's.
+// `time_timer` is the single shared timer from before; it is still read until it is stopped.
+const LEGACY_TIMER_KEY = 'time_timer';
+
+function timerKey(auth) {
+  if (auth.type === 'session') return `time_timer_session_${auth.session.id}`;
+  if (auth.type === 'apiKey') return `time_timer_key_${auth.apiKey.id}`;
+  return 'time_timer_open';
+}
+
+// Stop the running timer and book its elapsed time (rounded, at least one minute)
+async function stopTimer(env, key, timer, { date, note } = {}) {
+  const minutes = Math.min(TIME_ENTRY_MAX_MINUTES,
+    Math.max(1, Math.round((Date.now() - new Date(timer.startedAt).getTime()) / 60000)));
+  const entry = await createTimeEntry(env, {
+    task: { id: timer.taskId, ticketKey: timer.ticketKey, title: timer.title },
+    serviceId: timer.serviceId,
+    minutes,
+    date: isDateString(date) ? date : timer.startedAt.slice(0, 10),
+    note
+  });
+  await deleteTimer(env, key);
+  return entry;
+}
+
+async function loadTimer(env, key) {
+  const store = getStorage(env);
+  const json = await store.get(key) || await store.get(LEGACY_TIMER_KEY);
+  return json ? JSON.parse(json) : null;
+}
+
+async function deleteTimer(env, key) {
+  const store = getStorage(env);
+  await Promise.all([store.delete(key), store.delete(LEGACY_TIMER_KEY)]);
+}
+
+// GET: the day's entries for the current person plus the caller's running timer
+// POST: start / stop / discard the timer, log / update / delete entries
+async function handleTime(request, url, env, auth) {
+  const store = getStorage(env);
+  const key = timerKey(auth);
+
+  try {
+    if (request.method === 'GET') {
+      // The dashboard asks for just the timer on load, without a round trip to Productive
+      if (url.searchParams.get('only') === 'timer') {
+        return new Response(JSON.stringify({ timer: await loadTimer(env, key) }), { headers: corsHeaders() });
+      }
+
+      // "Today" is the caller's day: an explicit date, or today at the browser's tzOffset
+      const tzOffset = parseInt(url.searchParams.get('tzOffset'), 10);
+      const date = url.searchParams.get('date') ||
+        (Number.isInteger(tzOffset) ? localDateString(Date.now() - tzOffset * 60000) : null);
+      if (!isDateString(date)) {
+        return new Response(JSON.stringify({ error: 'date (YYYY-MM-DD) or tzOffset is required' }), {
+          status: 400, headers: corsHeaders()
+        });
+      }
+
+      const { orgId } = await getOrganizationInfo(env);
+      const personId = await getPersonId(env, orgId);
+      // Ask for the surrounding days and keep the exact date, whatever the API's bound semantics
+      const data = await productiveApi(env,
+        `/time_entries?filter[person_id]=${personId}&filter[after]=${addDays(date, -1)}&filter[before]=${addDays(date, 1)}` +
+        '&include=task,service&page[size]=200');
+      const dayEntries = (data.data || []).filter(e => e.attributes.date === date);
+
+      const taskIds = [...new Set(dayEntries.map(e => e.relationships?.task?.data?.id).filter(Boolean))];
+      const tasksById = {};
+      (await Promise.all(taskIds.map(id => store.tasks.get(id)))).forEach(t => {
+        if (t) tasksById[String(t.id)] = t;
+      });
+
+      const entries = dayEntries.map(e => normalizeTimeEntry(e, data.included, tasksById));
+      return new Response(JSON.stringify({
+        date,
+        entries,
+        totalMinutes: entries.reduce((sum, e) => sum + e.minutes, 0),
+        timer: await loadTimer(env, key)
+      }), { headers: corsHeaders() });
+    }
+
+    if (request.method !== 'POST') {
+      return new Response(JSON.stringify({ error: 'Method not allowed' }), {
+        status: 405, headers: corsHeaders()
+      });
+    }
+
+    const { action, id, taskId, serviceId, minutes, date, note } = await request.json();
+
+    switch (action) {
+      case 'start': {
+        const task = taskId ? await store.tasks.get(String(taskId)) : null;
+        if (!task) {
+          return new Response(JSON.stringify({ error: 'Task not found' }), {
+            status: 404, headers: corsHeaders()
+          });
+        }
+        // Fail now rather than when the timer is stopped hours later
+        const timerServiceId = serviceId || await taskServiceId(env, task.id);
+        if (!timerServiceId) {
+          return new Response(JSON.stringify({ error: 'This task has no service in Productive; use Log time to pick one' }), {
+            status: 400, headers: corsHeaders()
+          });
+        }
+        // One timer at a time: starting another task books the running one first
+        const running = await loadTimer(env, key);
+        const logged = running ? await stopTimer(env, key, running, { date }) : null;
+        const timer = {
+          taskId: String(task.id),
+          ticketKey: task.ticketKey,
+          title: task.title,
+          serviceId: String(timerServiceId),
+          startedAt: new Date().toISOString()
+        };
+        await store.put(key, JSON.stringify(timer));
+        return new Response(JSON.stringify({ success: true, timer, logged }), { headers: corsHeaders() });
+      }
+
+      case 'stop':
+      case 'discard': {
+        const running = await loadTimer(env, key);
+        if (!running) {
+          return new Response(JSON.stringify({ error: 'No timer is running' }), {
+            status: 404, headers: corsHeaders()
+          });
+        }
+        if (action === 'discard') {
+          await deleteTimer(env, key);
+          return new Response(JSON.stringify({ success: true }), { headers: corsHeaders() });
+        }
+        const entry = await stopTimer(env, key, running, { date, note });
+        return new Response(JSON.stringify({ success: true, entry }), { headers: corsHeaders() });
+      }
+
+      case 'log': {
+        const task = taskId ? await store.tasks.get(String(taskId)) : null;
+        if (!task) {
+          return new Response(JSON.stringify({ error: 'Task not found' }), {
+            status: 404, headers: corsHeaders()
+          });
+        }
+        if (!isValidMinutes(minutes) || !isDateString(date)) {
+          return new Response(JSON.stringify({ error: `minutes must be 1-${TIME_ENTRY_MAX_MINUTES} and date YYYY-MM-DD` }), {
+            status: 400, headers: corsHeaders()
+          });
+        }
+        const entry = await createTimeEntry(env, { task, serviceId, minutes, date, note });
+        return new Response(JSON.stringify({ success: true, entry }), { headers: corsHeaders() });
+      }
+
+      case 'update': {
+        const attributes = {};
+        if (minutes !== undefined) attributes.time = minutes;
+        if (note !== undefined) attributes.note = String(note);
+        if (date !== undefined) attributes.date = date;
+        if (!id || Object.keys(attributes).length === 0 ||
+            (minutes !== undefined && !isValidMinutes(minutes)) || (date !== undefined && !isDateString(date))) {
+          return new Response(JSON.stringify({ error: 'Missing id or invalid minutes/date/note' }), {
+            status: 400, headers: corsHeaders()
+          });
+        }
+        const data = await productiveApi(env, `/time_entries/${encodeURIComponent(id)}?include=task,service`, {
+          method: 'PATCH',
+          body: { data: { type: 'time_entries', id: String(id), attributes } }
+        });
+        const entryTaskId = data.data.relationships?.task?.data?.id;
+        const stored = entryTaskId ? await store.tasks.get(entryTaskId) : null;
+        const entry = normalizeTimeEntry(data.data, data.included, stored ? { [entryTaskId]: stored } : {});
+        return new Response(JSON.stringify({ success: true, entry }), { headers: corsHeaders() });
+      }
+
+      case 'delete': {
+        if (!id) {
+          return new Response(JSON.stringify({ error: 'Missing id' }), {
+            status: 400, headers: corsHeaders()
+          });
+        }
+        await productiveApi(env, `/time_entries/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        return new Response(JSON.stringify({ success: true }), { headers: corsHeaders() });
+      }
+
+      default:
+        return new Response(JSON.stringify({ error: 'Unknown action' }), {
+          status: 400, headers: corsHeaders()
+        });
+    }
+  } catch (error) {
+    console.error('Time tracking error:', error);
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: error.status || 500, headers: corsHeaders()
+    });
+  }
+}
+
+// Services a task can book time against: its project's services, with the task's own first
+async function handleTimeServices(url, env) {
+  try {
+    const taskId = url.searchParams.get('taskId');
+    const task = taskId ? await getStorage(env).tasks.get(taskId) : null;
+    if (!task) {
+      return new Response(JSON.stringify({ error: 'Task not found' }), {
+        status: 404, headers: corsHeaders()
+      });
+    }
+
+    const [defaultServiceId, data] = await Promise.all([
+      taskServiceId(env, task.id),
+      task.projectId
+        ? productiveApi(env, `/services?filter[project_id]=${task.projectId}&include=deal&page[size]=200`)
+        : Promise.resolve({ data: [] })
+    ]);
+    const deals = {};
+    (data.included || []).forEach(item => {
+      if (item.type === 'deals') deals[item.id] = item.attributes.name;
+    });
+    const services = (data.data || []).map(s => {
+      const deal = deals[s.relationships?.deal?.data?.id];
+      return { id: s.id, name: deal ? `${deal} · ${s.attributes.name}` : s.attributes.name };
+    }).sort((a, b) => (b.id === defaultServiceId) - (a.id === defaultServiceId) || a.name.localeCompare(b.name));
+
+    return new Response(JSON.stringify({ serviceId: defaultServiceId, services }), { headers: corsHeaders() });
+  } catch (error) {
+    console.error('Time services error:', error);
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: error.status || 500, headers: corsHeaders()
+    });
+  }
+}
+
+// =============================================================================
+// Task Detail - Description, comments, activity, attachments and subtasks on demand
+// =============================================================================
+
+function indexIncluded(included) {
+  const lookup = {};
+  (included || []).forEach(item => { lookup[item.type + ':' + item.id] = item; });
+  return lookup;
+}
+
+function personName(lookup, relationship) {
+  const person = lookup['people:' + relationship?.data?.id];
+  return person ? (person.attributes.name || person.attributes.email || 'Unknown') : null;
+}
+
+// Activity changesets come as [{ field: [from, to] }]; flatten to short display strings
+function normalizeChangeset(changeset) {
+  const changes = [];
+  const entries = Array.isArray(changeset) ? changeset : [changeset || {}];
+  const show = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.length > 200 ? text.slice(0, 200) + '…' : text;
+  };
+  for (const entry of entries) {
+    for (const [field, value] of Object.entries(entry || {})) {
+      const [from, to] = Array.isArray(value) ? value : [null, value];
+      changes.push({ field, from: show(from), to: show(to) });
+    }
+  }
+  return changes;
+}
+
+async function fetchTaskDetail(env, task) {
+  const id = encodeURIComponent(task.id);
+  const [taskData, commentData, activityData, attachmentData, subtaskData] = await Promise.all([
+    productiveApi(env, `/tasks/${id}`),
+    productiveApi(env, `/comments?filter[task_id]=${id}&include=creator&sort=created_at&page[size]=200`),
+    productiveApi(env, `/activities?filter[task_id]=${id}&include=creator&page[size]=100`),
+    productiveApi(env, `/attachments?filter[task_id]=${id}&page[size]=200`),
+    productiveApi(env, `/tasks?filter[parent_task_id]=${id}&include=assignee,workflow_status&page[size]=200`)
+  ]);
+
+  const commentLookup = indexIncluded(commentData.included);
+  const activityLookup = indexIncluded(activityData.included);
+  const subtaskLookup = indexIncluded(subtaskData.included);
+
+  return {
+    id: String(task.id),
+    ticketKey: task.ticketKey,
+    title: taskData.data.attributes.title || task.title,
+    url: task.url,
+    description: sanitizeHtml(taskData.data.attributes.description),
+    comments: (commentData.data || []).map(c => ({
+      id: c.id,
+      author: personName(commentLookup, c.relationships?.creator) || 'Unknown',
+      createdAt: c.attributes.created_at,
+      body: sanitizeHtml(c.attributes.body)
+    })),
+    activity: (activityData.data || []).map(a => ({
+      id: a.id,
+      author: personName(activityLookup, a.relationships?.creator),
+      createdAt: a.attributes.created_at,
+      event: a.attributes.event || null,
+      itemType: a.attributes.item_type || null,
+      itemName: a.attributes.item_name || null,
+      changes: normalizeChangeset(a.attributes.changeset)
+    })).sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || ''))),
+    attachments: (attachmentData.data || []).map(a => ({
+      id: a.id,
+      name: a.attributes.name,
+      url: /^https?:\/\//i.test(a.attributes.url || '') ? a.attributes.url : null,
+      size: a.attributes.size ?? null,
+      contentType: a.attributes.content_type || null,
+      createdAt: a.attributes.created_at || null
+    })),
+    subtasks: (subtaskData.data || []).map(t => {
+      const statusId = t.relationships?.workflow_status?.data?.id;
+      return {
+        id: t.id,
+        number: t.attributes.number,
+        ticketKey: task.projectPrefix ? `${task.projectPrefix}-${t.attributes.number}` : null,
+        title: t.attributes.title,
+        status: subtaskLookup['workflow_statuses:' + statusId]?.attributes?.name || t.attributes.workflow_status_name || null,
+        assignee: personName(subtaskLookup, t.relationships?.assignee),
+        closed: !!t.attributes.closed
+      };
+    }),
+    fetchedAt: new Date().toISOString()
+  };
+}
+
+// Plain text from the dashboard (comments, new task descriptions) → the HTML Productive
+// stores: a paragraph per blank-line-separated block, single newlines as <br>
+function plainTextToHtml(text) {
+  const escape = (s) => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  return text.trim().split(/\n{2,}/)
+    .map(paragraph => '<p>' + escape(paragraph).replace(/\n/g, '<br>') + '</p>')
+    .join('');
+}
+
+// GET /api/task/:id → detail (cached for TASK_DETAIL_TTL; ?fresh=1 skips the cache)
+// POST /api/task/:id { action: 'comment', body } → posts a comment, returns fresh detail (needs 'write')
+async function handleTaskDetail(request, url, env) {
+  const store = getStorage(env);
+
+  try {
+    const taskId = decodeURIComponent(url.pathname.slice('/api/task/'.length));
+    const cacheKey = `task_detail_${taskId}`;
+    const task = taskId ? await store.tasks.get(taskId) : null;
+    if (!task) {
+      return new Response(JSON.stringify({ error: 'Task not found' }), {
+        status: 404, headers: corsHeaders()
+      });
+    }
+
+    if (request.method === 'GET') {
+      if (!url.searchParams.has('fresh')) {
+        const cached = await store.get(cacheKey);
+        if (cached) {
+          return new Response(JSON.stringify({ ...JSON.parse(cached), cached: true }), { headers: corsHeaders() });
+        }
+      }
+      const detail = await fetchTaskDetail(env, task);
+      await store.put(cacheKey, JSON.stringify(detail), { ttl: TASK_DETAIL_TTL });
+      return new Response(JSON.stringify(detail), { headers: corsHeaders() });
+    }
+
+    if (request.method !== 'POST') {
+      return new Response(JSON.stringify({ error: 'Method not allowed' }), {
+        status: 405, headers: corsHeaders()
+      });
+    }
+
+    const { action, body } = await request.json();
+    if (action !== 'comment') {
+      return new Response(JSON.stringify({ error: 'Unknown action' }), {
+        status: 400, headers: corsHeaders()
+      });
+    }
+    if (typeof body !== 'string' || !body.trim() || body.length > COMMENT_MAX_LENGTH) {
+      return new Response(JSON.stringify({ error: `Comment must be 1-${COMMENT_MAX_LENGTH} characters` }), {
+        status: 400, headers: corsHeaders()
+      });
+    }
+
+    await productiveApi(env, '/comments', {
+      method: 'POST',
+      body: {
+        data: {
+          type: 'comments',
+          attributes: { body: plainTextToHtml(body) },
+          relationships: { task: { data: { type: 'tasks', id: String(task.id) } } }
+        }
+      }
+    });
+
+    const detail = await fetchTaskDetail(env, task);
+    await store.put(cacheKey, JSON.stringify(detail), { ttl: TASK_DETAIL_TTL });
+    return new Response(JSON.stringify({ success: true, detail }), { headers: corsHeaders() });
+  } catch (error) {
+    console.error('Task detail error:', error);
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: error.status || 500, headers: corsHeaders()
+    });
+  }
+}
+
+// =============================================================================
+// Task Creation - New tasks from the dashboard
+// =============================================================================
+
+// POST { taskListId, title, description?, assigneeId?, dueDate? }. The task list (one the
+// sync has seen) decides the project and board. The new task is stored straight away
+// through the webhook upsert path, so it shows up (as new) without waiting for a sync.
+async function handleCreateTask(request, env) {
+  const store = getStorage(env);
+  if (request.method !== 'POST') {
+    return new Response(JSON.stringify({ error: 'Method not allowed' }), {
+      status: 405, headers: corsHeaders()
+    });
+  }
+
+  try {
+    const { taskListId, title, description, assigneeId, dueDate } = await request.json();
+    const trimmedTitle = typeof title === 'string' ? title.trim() : '';
+    if (!trimmedTitle || trimmedTitle.length > TASK_TITLE_MAX_LENGTH) {
+      return new Response(JSON.stringify({ error: `Title must be 1-${TASK_TITLE_MAX_LENGTH} characters` }), {
+        status: 400, headers: corsHeaders()
+      });
+    }
+    if (description !== undefined && (typeof description !== 'string' || description.length > COMMENT_MAX_LENGTH)) {
+      return new Response(JSON.stringify({ error: `Description must be at most ${COMMENT_MAX_LENGTH} characters` }), {
+        status: 400, headers: corsHeaders()
+      });
+    }
+    if (dueDate && !isDateString(dueDate)) {
+      return new Response(JSON.stringify({ error: 'dueDate must be YYYY-MM-DD' }), {
+        status: 400, headers: corsHeaders()
+      });
+    }
+
+    const taskLists = JSON.parse(await store.get('filter_task_lists') || '[]');
+    const taskList = taskLists.find(l => String(l.id) === String(taskListId));
+    if (!taskList || !taskList.projectId) {
+      return new Response(JSON.stringify({ error: 'Unknown task list (try syncing first)' }), {
+        status: 400, headers: corsHeaders()
+      });
+    }
+
+    const attributes = { title: trimmedTitle };
+    if (description && description.trim()) attributes.description = plainTextToHtml(description);
+    if (dueDate) attributes.due_date = dueDate;
+    const relationships = {
+      project: { data: { type: 'projects', id: String(taskList.projectId) } },
+      task_list: { data: { type: 'task_lists', id: String(taskList.id) } }
+    };
+    if (assigneeId) relationships.assignee = { data: { type: 'people', id: String(assigneeId) } };
+
+    const created = await productiveApi(env, '/tasks', {
+      method: 'POST',
+      body: { data: { type: 'tasks', attributes, relationships } }
+    });
+
+    // Re-read with the sync includes so names, board and status resolve like any synced task
+    const data = await productiveApi(env,
+      `/tasks/${created.data.id}?include=assignee,project,workflow_status,parent_task,task_list.board,subscribers`);
+    const { orgId, orgSlug } = await getOrganizationInfo(env);
+    const { task } = await upsertWebhookTask(env, data, orgId, orgSlug, { pinUntracked: true });
+
+    return new Response(JSON.stringify({ success: true, task }), { headers: corsHeaders() });
+  } catch (error) {
+    console.error('Create task error:', error);
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: error.status || 500, headers: corsHeaders()
+    });
+  }
+}
+
+// =============================================================================
+// Productive.io Webhooks - Instant single-task upserts between cron runs
+// =============================================================================
+
+// Map a delivery to create / update / delete. Productive puts the event in the
+// payload meta; a header or ?event= override covers hand-rolled webhook setups.
+function parseWebhookEvent(request, url, payload) {
+  const raw = String(
+    url.searchParams.get('event') ||
+    request.headers.get('X-Productive-Event') ||
+    payload?.meta?.event ||
+    payload?.event ||
+    ''
+  ).toLowerCase();
+  if (raw.includes('delete') || raw.includes('destroy')) return 'delete';
+  if (raw.includes('create')) return 'create';
+  return 'update';
+}
+
+// Mark a stored task as Deleted (keeps its last known data). Returns the tombstone, or null if not stored.
+async function tombstoneTask(env, taskId) {
+  const store = getStorage(env);
+  const existing = await store.tasks.get(taskId);
+  if (!existing) return null;
+
+  const tombstone = { ...existing, status: 'Deleted', _deleted: true };
+  await store.tasks.put(tombstone);
+  await patchSearchIndex(store, [tombstone]);
+  await mergeTaskIntoFilters(env, tombstone);
+
+  // Deleted tasks no longer count towards the assigned stat
+  const personId = await store.get('current_person_id');
+  if (!existing._deleted && personId && existing.assigneeId === personId) {
+    const assignedCount = parseInt(await store.get('assigned_count') || '0');
+    await store.put('assigned_count', Math.max(0, assignedCount - 1).toString());
+  }
+  return tombstone;
+}
+
+// Add a single task's status, assignee, project and board to the stored filter lists
+// (the incremental equivalent of the filter_* writes at the end of updateTaskDatabase)
+async function mergeTaskIntoFilters(env, task) {
+  const store = getStorage(env);
+  const [statusesJson, assigneesJson, projectsJson, boardsJson, taskListsJson] = await Promise.all([
+    store.get('filter_statuses'),
+    store.get('filter_assignees'),
+    store.get('filter_projects'),
+    store.get('filter_boards'),
+    store.get('filter_task_lists')
+  ]);
+  const statuses = JSON.parse(statusesJson || '[]');
+  const assignees = JSON.parse(assigneesJson || '[]');
+  const projects = JSON.parse(projectsJson || '[]');
+  const boards = JSON.parse(boardsJson || '[]');
+  const taskLists = JSON.parse(taskListsJson || '[]');
+
+  if (task.status && !statuses.includes(task.status)) {
+    statuses.push(task.status);
+    statuses.sort();
+    await store.put('filter_statuses', JSON.stringify(statuses));
+  }
+  if (task.assigneeId && !assignees.find(a => a.id === task.assigneeId)) {
+    assignees.push({ id: task.assigneeId, name: task.assignee });
+    assignees.sort((a, b) => a.name.localeCompare(b.name));
+    await store.put('filter_assignees', JSON.stringify(assignees));
+  }
+  if (task.projectId && !task._deleted && !projects.find(p => p.id === task.projectId)) {
+    projects.push({ id: task.projectId, name: task.project, prefix: task.projectPrefix || 'UNKN' });
+    projects.sort((a, b) => a.name.localeCompare(b.name));
+    await store.put('filter_projects', JSON.stringify(projects));
+  }
+  if (task.boardId && task.boardName && !boards.find(b => b.id === task.boardId)) {
+    boards.push({ id: task.boardId, name: task.boardName });
+    boards.sort((a, b) => a.name.localeCompare(b.name));
+    await store.put('filter_boards', JSON.stringify(boards));
+  }
+  if (task.taskListId && task.taskListName && !task._deleted && !taskLists.find(l => l.id === task.taskListId)) {
+    taskLists.push(taskListEntry(task));
+    taskLists.sort((a, b) => a.name.localeCompare(b.name));
+    await store.put('filter_task_lists', JSON.stringify(taskLists));
+  }
+}
+
+// A task list as stored in filter_task_lists
+function taskListEntry(task) {
+  return {
+    id: task.taskListId,
+    name: task.taskListName,
+    boardId: task.boardId || null,
+    boardName: task.boardName || null,
+    projectId: task.projectId || null
+  };
+}
+
+// Record a task in the What's New lists, compared against the manual sync baseline.
+// Accumulates like a cron sync: only the next manual sync resets the lists.
+async function markTaskChanged(env, task) {
+  const store = getStorage(env);
+  const [baselineJson, changedJson, newJson, updatedJson] = await Promise.all([
+    store.get('manual_sync_baseline'),
+    store.get('changed_task_ids'),
+    store.get('new_task_ids'),
+    store.get('updated_task_ids')
+  ]);
+  const baseline = baselineJson ? JSON.parse(baselineJson) : {};
+  const taskId = String(task.id);
+  const baselineUpdatedAt = baseline[taskId];
+
+  let listKey = null;
+  let listJson = null;
+  if (!baselineUpdatedAt) {
+    listKey = 'new_task_ids';
+    listJson = newJson;
+  } else if (baselineUpdatedAt !== task.updatedAt) {
+    listKey = 'updated_task_ids';
+    listJson = updatedJson;
+  }
+  if (!listKey) return false;
+
+  const changedIds = new Set(JSON.parse(changedJson || '[]').map(String));
+  const listIds = new Set(JSON.parse(listJson || '[]').map(String));
+  changedIds.add(taskId);
+  listIds.add(taskId);
+  await store.put('changed_task_ids', JSON.stringify([...changedIds]));
+  await store.put(listKey, JSON.stringify([...listIds]));
+  return true;
+}
+
+// Upsert a task fetched from the API (data + included) into task storage.
+// Only tasks we already track, or that we're assigned to / subscribed on, are stored —
+// unless `pinUntracked` is set (tasks created from the dashboard), which keeps any other
+// task as a manual ghost so the next full sync doesn't mark it deleted.
+async function upsertWebhookTask(env, data, orgId, orgSlug, { pinUntracked = false } = {}) {
+  const store = getStorage(env);
+  const task = data.data;
+  const projectId = task.relationships?.project?.data?.id;
+  const assigneeId = task.relationships?.assignee?.data?.id || null;
+
+  const [existing, prefixMapJson, prefixIndexJson, personId, assignedCountRaw] = await Promise.all([
+    store.tasks.get(task.id),
+    store.get('prefix_map'),
+    store.get('prefix_index'),
+    store.get('current_person_id'),
+    store.get('assigned_count')
+  ]);
+  const prefixMap = JSON.parse(prefixMapJson || '{}');
+  const prefixIndex = JSON.parse(prefixIndexJson || '{}');
+
+  const isAssigned = !!personId && assigneeId === personId;
+  const subscribers = task.relationships?.subscribers?.data || [];
+  const isSubscribed = !!personId && subscribers.some(s => s.id === personId);
+
+  if (!existing && !isAssigned && !isSubscribed && !pinUntracked) {
+    return { action: 'ignored' };
+  }
+
+  // Resolve / generate prefix for this project (handle never-synced projects)
+  let prefix = prefixMap[projectId];
+  let prefixWasNew = false;
+  if (!prefix && projectId) {
+    const projectIncluded = (data.included || []).find(i => i.type === 'projects' && i.id === projectId);
+    const projectName = projectIncluded?.attributes?.name || `Project ${projectId}`;
+    prefix = generatePrefix(projectName, new Set(Object.values(prefixMap)));
+    prefixMap[projectId] = prefix;
+    prefixIndex[prefix] = projectId;
+    prefixWasNew = true;
+  }
+
+  const normalized = normalizeProductiveTask(task, data.included, prefix, orgId, orgSlug);
+
+  if (existing) {
+    // Preserve board name if this payload didn't carry the board
+    if (!normalized.boardName && existing.boardName && existing.boardId === normalized.boardId) {
+      normalized.boardName = existing.boardName;
+    }
+    // Manual ghosts stay manual until we're subscribed/assigned (auto-promote)
+    if (existing._manual && !isAssigned && !isSubscribed) {
+      normalized._manual = true;
+    }
+  } else if (!isAssigned && !isSubscribed) {
+    normalized._manual = true;
+  }
+
+  // tasks.put keeps task_count current
+  await store.tasks.put(normalized);
+  await patchSearchIndex(store, [normalized]);
+  if (prefixWasNew) {
+    await store.put('prefix_map', JSON.stringify(prefixMap));
+    await store.put('prefix_index', JSON.stringify(prefixIndex));
+  }
+
+  // Adjust assigned_count by this task's delta instead of recounting every task
+  const wasAssigned = !!existing && existing.assigneeId === personId && !existing._deleted;
+  const assignedDelta = (isAssigned ? 1 : 0) - (wasAssigned ? 1 : 0);
+  if (assignedDelta !== 0) {
+    const assignedCount = Math.max(0, parseInt(assignedCountRaw || '0') + assignedDelta);
+    await store.put('assigned_count', assignedCount.toString());
+  }
+
+  await mergeTaskIntoFilters(env, normalized);
+  await markTaskChanged(env, normalized);
+
+  return { action: 'upserted', task: normalized, previous: existing, isNew: !existing };
+}
+
+// { field: [before, after] } for the HISTORY_CHANGE_FIELDS that differ, or null
+function taskFieldChanges(previous, task) {
+  const changes = {};
+  for (const field of Object.keys(HISTORY_CHANGE_FIELDS)) {
+    const normalize = value => (field === 'dueDate' ? (value || '').slice(0, 10) : value) || null;
+    const before = normalize(previous[field]);
+    const after = normalize(task[field]);
+    if (before !== after) changes[field] = [before, after];
+  }
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+// Webhook deliveries show up in sync history as single-task entries. Deliveries arrive
+// concurrently, so two can get the same KV history `id`; `entryId` is unique (Atom entry IDs).
+// Returns the stored entry (with its history `id`).
+async function recordWebhookHistory(env, taskId, kind, changes = null) {
+  return getStorage(env).history.append({
+    entryId: crypto.randomUUID(),
+    syncedAt: new Date().toISOString(),
+    source: 'webhook',
+    mode: 'single',
+    newIds: kind === 'new' ? [taskId] : [],
+    updatedIds: kind === 'updated' ? [taskId] : [],
+    deletedIds: kind === 'deleted' ? [taskId] : [],
+    changes: changes ? { [taskId]: changes } : {}
+  });
+}
+
+async function handleProductiveWebhook(request, env, url, ctx = null) {
+  if (request.method !== 'POST') {
+    return new Response(JSON.stringify({ error: 'Method not allowed' }), {
+      status: 405, headers: corsHeaders()
+    });
+  }
+
+  // Refuse deliveries outright until a secret is configured
+  const secret = env.PRODUCTIVE_WEBHOOK_SECRET;
+  if (!secret) {
+    return new Response(JSON.stringify({ error: 'Webhook secret not configured' }), {
+      status: 503, headers: corsHeaders()
+    });
+  }
+
+  const providedSecret = request.headers.get('X-Webhook-Secret') || url.searchParams.get('secret') || '';
+  if (!timingSafeEqual(providedSecret, secret)) {
+    return new Response(JSON.stringify({ error: 'Invalid webhook secret' }), {
+      status: 401, headers: corsHeaders()
+    });
+  }
+
+  try {
+    const payload = await request.json();
+    const resource = payload?.data;
+
+    // Only task deliveries are handled; acknowledge anything else so Productive doesn't retry
+    if (!resource?.id || (resource.type && resource.type !== 'tasks')) {
+      return new Response(JSON.stringify({ success: true, action: 'ignored' }), { headers: corsHeaders() });
+    }
+
+    const taskId = String(resource.id);
+    const event = parseWebhookEvent(request, url, payload);
+
+    // Outgoing webhooks hear about this delivery right away, after Productive has its answer
+    const sendDigests = entry => runInBackground(ctx, 'Webhook digests', (async () => {
+      await deliverSyncDigests(env, await getStorage(env).tasks.all() || [], entry);
+    })());
+
+    if (event === 'delete') {
+      const tombstone = await tombstoneTask(env, taskId);
+      if (tombstone) await sendDigests(await recordWebhookHistory(env, taskId, 'deleted'));
+      return new Response(JSON.stringify({
+        success: true, action: tombstone ? 'tombstoned' : 'ignored', taskId
+      }), { headers: corsHeaders() });
+    }
+
+    const config = await getConfig(env);
+    const { orgId, orgSlug } = await getOrganizationInfo(env);
+
+    // Re-fetch rather than trust the payload: deliveries don't carry the included records we normalise from
+    const response = await fetch(
+      `https://api.productive.io/api/v2/tasks/${taskId}?include=assignee,project,workflow_status,parent_task,task_list.board,subscribers`,
+      {
+        headers: {
+          'X-Auth-Token': config.apiToken,
+          'Content-Type': 'application/vnd.api+json',
+          'X-Organization-Id': orgId
+        }
+      }
+    );
+
+    if (response.status === 404) {
+      const tombstone = await tombstoneTask(env, taskId);
+      if (tombstone) await sendDigests(await recordWebhookHistory(env, taskId, 'deleted'));
+      return new Response(JSON.stringify({
+        success: true, action: tombstone ? 'tombstoned' : 'ignored', taskId
+      }), { headers: corsHeaders() });
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      return new Response(JSON.stringify({ error: `API error ${response.status}: ${errorText}` }), {
+        status: 502, headers: corsHeaders()
+      });
+    }
+
+    const data = await response.json();
+    const result = await upsertWebhookTask(env, data, orgId, orgSlug);
+    if (result.task) {
+      const entry = await recordWebhookHistory(env, taskId, result.isNew ? 'new' : 'updated',
+        result.previous ? taskFieldChanges(result.previous, result.task) : null);
+      // Answer Productive now; push notifications and digests go out after the response
+      const previousById = new Map(result.previous ? [[result.previous.id, result.previous]] : []);
+      await runInBackground(ctx, 'Webhook push notifications', notifyTaskChanges(env, previousById, [result.task]));
+      await sendDigests(entry);
+    }
+    console.log(`Webhook ${event} for task ${taskId}: ${result.action}`);
+
+    return new Response(JSON.stringify({ success: true, action: result.action, taskId }), {
+      headers: corsHeaders()
+    });
+  } catch (error) {
+    console.error('Webhook error:', error);
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: 500, headers: corsHeaders()
+    });
+  }
+}
+
+async function handleManualUpdate(request, env, ctx) {
+  // Use Server-Sent Events to stream progress
+  const encoder = new TextEncoder();
+  const abortSignal = request.signal;
+  // Manual syncs are full by default; /update?mode=delta opts into an incremental run
+  const mode = new URL(request.url).searchParams.get('mode') === 'delta' ? 'delta' : 'full';
   
   const stream = new ReadableStream({
     async start(controller) {
@@ -1884,42 +4557,1558 @@ async function handleManualUpdate(request, env) {
             totalPages: progress.totalPages
           });
         };
-        
-        const result = await updateTaskDatabase(env, onProgress, sendEvent, true, abortSignal);
-        
-        // Send completion event
-        sendEvent({
-          type: 'complete',
-          success: true,
-          taskCount: result.taskCount,
-          assignedCount: result.assignedCount,
-          changedCount: result.changedCount,
-          newCount: result.newCount,
-          updatedCount: result.updatedCount
+        
+        const result = await updateTaskDatabase(env, onProgress, sendEvent, true, abortSignal, mode, ctx);
+        
+        // Send completion event
+        sendEvent({
+          type: 'complete',
+          success: true,
+          mode: result.mode,
+          fetchedCount: result.fetchedCount,
+          taskCount: result.taskCount,
+          assignedCount: result.assignedCount,
+          changedCount: result.changedCount,
+          newCount: result.newCount,
+          updatedCount: result.updatedCount
+        });
+        
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          console.log('Sync cancelled by client');
+        } else {
+          sendEvent({
+            type: 'error',
+            success: false,
+            error: error.message
+          });
+        }
+      } finally {
+        controller.close();
+      }
+    }
+  });
+  
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'Access-Control-Allow-Origin': '*'
+    }
+  });
+}
+
+// =============================================================================
+// Push Notifications - Web Push for new assignments, status changes and overdue tasks
+// =============================================================================
+// Each browser that enables notifications is a subscription in `push_subscriptions` with its
+// own event types, quiet hours and time zone. Syncs compare the stored tasks before and after
+// and push what changed on tasks assigned to you; messages due during quiet hours are held
+// (`pending`) and sent together once they end. VAPID keys come from the VAPID_PUBLIC_KEY /
+// VAPID_PRIVATE_KEY secrets, or are generated once and kept in `push_vapid_keys`.
+
+// New VAPID keys unless both secrets are set. The subject is VAPID_SUBJECT, else the dashboard's
+// own https://<host> (recorded when a device subscribes); null when there is neither yet
+async function getVapidKeys(env) {
+  const store = getStorage(env);
+  let keys;
+  if (env.VAPID_PUBLIC_KEY && env.VAPID_PRIVATE_KEY) {
+    keys = { publicKey: env.VAPID_PUBLIC_KEY, privateKey: env.VAPID_PRIVATE_KEY };
+  } else {
+    keys = JSON.parse(await store.get('push_vapid_keys') || 'null');
+    if (!keys) {
+      keys = await generateVapidKeys();
+      await store.put('push_vapid_keys', JSON.stringify(keys));
+    }
+  }
+  const subject = env.VAPID_SUBJECT || await store.get('push_origin') || null;
+  return { ...keys, subject };
+}
+
+async function loadPushSubscriptions(store) {
+  return JSON.parse(await store.get('push_subscriptions') || '[]');
+}
+
+// Minutes since midnight and the calendar date in a time zone
+function zonedClock(timeZone, date = new Date()) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(date).map(p => [p.type, p.value]));
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Quiet hours may wrap midnight (22:00–07:00)
+function isQuietTime(subscription, date = new Date()) {
+  const quiet = subscription.quietHours;
+  if (!quiet) return false;
+  const toMinutes = time => Number(time.slice(0, 2)) * 60 + Number(time.slice(3));
+  const start = toMinutes(quiet.start);
+  const end = toMinutes(quiet.end);
+  const { minutes } = zonedClock(subscription.timeZone, date);
+  return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+// Event types and quiet hours from a request body; returns { preferences } or { error }
+function parsePushPreferences(body) {
+  const events = Array.isArray(body.events) ? [...new Set(body.events)] : PUSH_EVENT_TYPES;
+  if (events.some(e => !PUSH_EVENT_TYPES.includes(e))) {
+    return { error: 'events must be among: ' + PUSH_EVENT_TYPES.join(', ') };
+  }
+  let quietHours = null;
+  if (body.quietHours) {
+    const { start, end } = body.quietHours;
+    const time = /^([01]\d|2[0-3]):[0-5]\d$/;
+    if (!time.test(start || '') || !time.test(end || '') || start === end) {
+      return { error: 'Quiet hours need a different start and end time (HH:MM)' };
+    }
+    quietHours = { start, end };
+  }
+  const timeZone = body.timeZone || 'UTC';
+  if (!isValidTimeZone(timeZone)) return { error: 'Unknown time zone' };
+  return { preferences: { events, quietHours, timeZone } };
+}
+
+// Assignment and status changes on my tasks between two versions of the task set.
+// `previousById` holds what was stored before; a task missing from it is new to us.
+function collectTaskNotifications(previousById, tasks, personId) {
+  const events = [];
+  if (!personId) return events;
+  for (const task of tasks) {
+    if (task._deleted || task.assigneeId !== personId) continue;
+    const previous = previousById.get(task.id);
+    const base = { taskId: String(task.id), ticketKey: task.ticketKey, title: task.title };
+    if (!previous || previous.assigneeId !== personId || previous._deleted) {
+      events.push({ type: 'assigned', ...base });
+    } else if (previous.status !== task.status) {
+      events.push({ type: 'statusChanged', ...base, from: previous.status, to: task.status });
+    }
+  }
+  return events;
+}
+
+// My unresolved tasks that are past due in the subscriber's time zone and weren't reported
+// yet. Returns the events plus the keys to remember (a new due date can notify again).
+function collectOverdueNotifications(subscription, tasks, personId) {
+  const today = zonedClock(subscription.timeZone).date;
+  const notified = new Set(subscription.overdueNotified || []);
+  const events = [];
+  const keys = [];
+  for (const task of tasks) {
+    if (task._deleted || task.assigneeId !== personId || !task.dueDate) continue;
+    if (task.dueDate >= today || queryEngine.isResolved(task.status)) continue;
+    const key = `${task.id}:${task.dueDate}`;
+    keys.push(key);
+    if (!notified.has(key)) {
+      events.push({ type: 'overdue', taskId: String(task.id), ticketKey: task.ticketKey, title: task.title, dueDate: task.dueDate });
+    }
+  }
+  return { events, keys };
+}
+
+function truncate(text, length) {
+  const value = String(text || '');
+  return value.length > length ? value.slice(0, length - 1) + '…' : value;
+}
+
+function pushMessage(event) {
+  const title = {
+    assigned: `Assigned to you: ${event.ticketKey}`,
+    statusChanged: `${event.ticketKey}: ${event.from} → ${event.to}`,
+    overdue: `Overdue: ${event.ticketKey}`
+  }[event.type];
+  return {
+    title: truncate(title, 120),
+    body: truncate(event.type === 'overdue' ? `${event.title} (due ${event.dueDate})` : event.title, 240),
+    url: `/?q=${encodeURIComponent(event.ticketKey)}`,
+    tag: `${event.type}-${event.taskId}`
+  };
+}
+
+// Several events at once (a busy sync, or the end of quiet hours) become one notification
+function summaryMessage(events) {
+  const verbs = { assigned: 'assigned', statusChanged: 'status changed', overdue: 'overdue' };
+  const lines = events.slice(0, PUSH_SUMMARY_LINES).map(e => `${e.ticketKey} ${verbs[e.type]}`);
+  if (events.length > lines.length) lines.push(`and ${events.length - lines.length} more`);
+  return { title: `${events.length} task updates`, body: truncate(lines.join('\n'), 600), url: '/', tag: 'summary' };
+}
+
+// Push task changes to every subscription that wants them. `checkOverdue` also looks for
+// newly overdue tasks (syncs pass the whole task set; single-task paths don't).
+// Never throws: a push problem must not fail the sync that triggered it.
+async function notifyTaskChanges(env, previousById, tasks, { checkOverdue = false } = {}) {
+  try {
+    const store = getStorage(env);
+    const subscriptions = await loadPushSubscriptions(store);
+    if (subscriptions.length === 0) return;
+
+    const personId = await store.get('current_person_id');
+    const changes = collectTaskNotifications(previousById, tasks, personId);
+    const now = new Date();
+    let vapid = null;
+    const kept = [];
+
+    for (const subscription of subscriptions) {
+      const events = changes.filter(e => subscription.events.includes(e.type));
+      if (checkOverdue && personId && subscription.events.includes('overdue')) {
+        const overdue = collectOverdueNotifications(subscription, tasks, personId);
+        events.push(...overdue.events);
+        subscription.overdueNotified = overdue.keys;
+      }
+
+      const queue = [...(subscription.pending || []), ...events];
+      if (queue.length === 0 || isQuietTime(subscription, now)) {
+        subscription.pending = queue.slice(-PUSH_PENDING_LIMIT);
+        kept.push(subscription);
+        continue;
+      }
+
+      if (!vapid) vapid = await getVapidKeys(env);
+      if (!vapid.subject) {
+        // Push services reject a request without a contact; hold the messages until there is one
+        console.warn('Push skipped: set VAPID_SUBJECT or re-enable notifications from the dashboard');
+        subscription.pending = queue.slice(-PUSH_PENDING_LIMIT);
+        kept.push(subscription);
+        continue;
+      }
+      const messages = queue.length > PUSH_SUMMARY_THRESHOLD ? [summaryMessage(queue)] : queue.map(pushMessage);
+      let status = 201;
+      for (const message of messages) {
+        try {
+          status = await sendWebPush(subscription, message, vapid);
+        } catch (error) {
+          console.error('Push send failed:', error.message);
+          status = 0;
+        }
+        if (status < 200 || status >= 300) break;
+      }
+
+      if (status === 404 || status === 410) {
+        console.log(`Push subscription ${subscription.id} expired; removing it`);
+        continue;
+      }
+      if (status >= 200 && status < 300) {
+        subscription.pending = [];
+        subscription.lastSentAt = now.toISOString();
+      } else {
+        subscription.pending = queue.slice(-PUSH_PENDING_LIMIT); // retried on the next sync
+      }
+      kept.push(subscription);
+    }
+
+    await store.put('push_subscriptions', JSON.stringify(kept));
+  } catch (error) {
+    console.error('Push notifications failed:', error);
+  }
+}
+
+// Subscription as shown in Settings: no keys, just what the user can see and change
+function publicPushSubscription(subscription) {
+  const { keys, pending, overdueNotified, ...rest } = subscription;
+  return { ...rest, pendingCount: (pending || []).length };
+}
+
+// GET /api/push → VAPID public key, event types and subscriptions
+// POST /api/push {action: 'subscribe' | 'update' | 'unsubscribe' | 'test', endpoint, ...}
+async function handlePush(request, url, env) {
+  const store = getStorage(env);
+
+  if (request.method === 'GET') {
+    const [vapid, subscriptions] = await Promise.all([getVapidKeys(env), loadPushSubscriptions(store)]);
+    return new Response(JSON.stringify({
+      publicKey: vapid.publicKey,
+      subject: vapid.subject,
+      subjectConfigured: !!env.VAPID_SUBJECT,
+      eventTypes: PUSH_EVENT_TYPES,
+      subscriptions: subscriptions.map(publicPushSubscription)
+    }), { headers: corsHeaders() });
+  }
+
+  if (request.method !== 'POST') {
+    return new Response(JSON.stringify({ error: 'Method not allowed' }), {
+      status: 405, headers: corsHeaders()
+    });
+  }
+
+  try {
+    const body = await request.json();
+    const subscriptions = await loadPushSubscriptions(store);
+    const endpoint = body.subscription?.endpoint || body.endpoint;
+    const index = subscriptions.findIndex(s => s.endpoint === endpoint || (body.id && s.id === body.id));
+
+    switch (body.action) {
+      case 'subscribe': {
+        const keys = body.subscription?.keys;
+        if (!/^https:\/\//.test(endpoint || '') || !isValidSubscriptionKeys(keys)) {
+          return new Response(JSON.stringify({ error: 'Invalid push subscription' }), {
+            status: 400, headers: corsHeaders()
+          });
+        }
+        const { preferences, error } = parsePushPreferences(body);
+        if (error) {
+          return new Response(JSON.stringify({ error }), { status: 400, headers: corsHeaders() });
+        }
+        if (index === -1 && subscriptions.length >= PUSH_SUBSCRIPTION_LIMIT) {
+          return new Response(JSON.stringify({ error: `At most ${PUSH_SUBSCRIPTION_LIMIT} devices can get notifications` }), {
+            status: 400, headers: corsHeaders()
+          });
+        }
+        const userAgent = (request.headers.get('User-Agent') || '').slice(0, 300);
+        const subscription = {
+          ...(index === -1 ? { id: crypto.randomUUID(), createdAt: new Date().toISOString(), pending: [] } : subscriptions[index]),
+          endpoint,
+          keys: { p256dh: keys.p256dh, auth: keys.auth },
+          label: describeUserAgent(userAgent),
+          userAgent,
+          ...preferences
+        };
+        if (index === -1) subscriptions.push(subscription);
+        else subscriptions[index] = subscription;
+        await store.put('push_subscriptions', JSON.stringify(subscriptions));
+        // The VAPID subject: the push service's contact for this application server
+        await store.put('push_origin', url.origin);
+        return new Response(JSON.stringify({ success: true, subscription: publicPushSubscription(subscription) }), {
+          headers: corsHeaders()
+        });
+      }
+
+      case 'update': {
+        if (index === -1) {
+          return new Response(JSON.stringify({ error: 'Subscription not found' }), { status: 404, headers: corsHeaders() });
+        }
+        const { preferences, error } = parsePushPreferences(body);
+        if (error) {
+          return new Response(JSON.stringify({ error }), { status: 400, headers: corsHeaders() });
+        }
+        subscriptions[index] = { ...subscriptions[index], ...preferences };
+        await store.put('push_subscriptions', JSON.stringify(subscriptions));
+        return new Response(JSON.stringify({ success: true, subscription: publicPushSubscription(subscriptions[index]) }), {
+          headers: corsHeaders()
+        });
+      }
+
+      case 'unsubscribe': {
+        if (index !== -1) {
+          subscriptions.splice(index, 1);
+          await store.put('push_subscriptions', JSON.stringify(subscriptions));
+        }
+        return new Response(JSON.stringify({ success: true }), { headers: corsHeaders() });
+      }
+
+      case 'test': {
+        if (index === -1) {
+          return new Response(JSON.stringify({ error: 'Subscription not found' }), { status: 404, headers: corsHeaders() });
+        }
+        // Ignores quiet hours: the user asked for it
+        const status = await sendWebPush(subscriptions[index], {
+          title: 'Test notification',
+          body: 'Notifications for your tasks will show up like this.',
+          url: '/',
+          tag: 'test'
+        }, await getVapidKeys(env));
+        if (status === 404 || status === 410) {
+          subscriptions.splice(index, 1);
+          await store.put('push_subscriptions', JSON.stringify(subscriptions));
+        }
+        const ok = status >= 200 && status < 300;
+        return new Response(JSON.stringify(ok ? { success: true } : { error: `Push service answered ${status}` }), {
+          status: ok ? 200 : 502, headers: corsHeaders()
+        });
+      }
+
+      default:
+        return new Response(JSON.stringify({ error: 'Unknown action' }), {
+          status: 400, headers: corsHeaders()
+        });
+    }
+  } catch (error) {
+    console.error('Push settings error:', error);
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: 500, headers: corsHeaders()
+    });
+  }
+}
+
+// =============================================================================
+// Outgoing Webhooks - sync digests for Slack, Teams or any JSON endpoint
+// =============================================================================
+// Each webhook in `outgoing_webhooks` remembers the last sync history entry it reported
+// (`cursor`). After a cron or manual sync it merges the history entries since then, webhook
+// deliveries included, into one digest of new, updated and deleted tasks, adds tasks that
+// became overdue, and POSTs it in the webhook's format. A delivery that still fails after its
+// retries leaves the cursor where it was, so the next sync sends those changes again.
+// Webhooks are sent in parallel within OUTGOING_WEBHOOK_BUDGET, and only their delivery state
+// is merged back into the list, so Settings changes made meanwhile aren't lost. Every attempt
+// is recorded as its own `outgoing_webhook_log_<newest first>_<id>` key.
+
+const DIGEST_SECTION_LABELS = { new: 'New', updated: 'Updated', deleted: 'Deleted', overdue: 'Newly overdue' };
+
+async function loadOutgoingWebhooks(store) {
+  return JSON.parse(await store.get('outgoing_webhooks') || '[]');
+}
+
+// Which tasks a webhook or digest covers: all, one project (by prefix) or those in a saved
+// view. Deleted tasks have lost their status, so a view only applies its project filter to them.
+function taskScope({ project, viewId }, views, context) {
+  if (project) {
+    const test = t => t.projectPrefix === project;
+    return { test, testDeleted: test, label: project };
+  }
+  if (!viewId) return { test: () => true, testDeleted: () => true, label: 'all tasks' };
+
+  const view = views.find(v => v.id === viewId);
+  if (!view) return { error: 'Its saved view no longer exists' };
+  const params = new URLSearchParams(view.query);
+  const filters = parseSearchParams(params);
+  const predicates = buildSearchPredicates(filters, context);
+  const ast = queryEngine.parse(params.get('q') || '');
+  const queryContext = { ...context, tzOffset: filters.tzOffset };
+  return {
+    test: t => predicates.every(p => p.test(t)) && queryEngine.matches(ast, t, queryContext),
+    testDeleted: t => !filters.projects || filters.projects.includes(t.projectPrefix),
+    label: `view "${view.name}"`
+  };
+}
+
+// History entries (oldest first) as one set of changes: a task created and then edited
+// in the window is just new, and a deletion replaces both
+function mergeHistoryEntries(entries) {
+  const changes = { new: new Set(), updated: new Set(), deleted: new Set() };
+  for (const entry of entries) {
+    for (const id of entry.newIds || []) {
+      changes.new.add(String(id));
+      changes.deleted.delete(String(id));
+    }
+    for (const id of entry.updatedIds || []) {
+      if (!changes.new.has(String(id))) changes.updated.add(String(id));
+    }
+    for (const id of entry.deletedIds || []) {
+      changes.deleted.add(String(id));
+      changes.new.delete(String(id));
+      changes.updated.delete(String(id));
+    }
+  }
+  return changes;
+}
+
+// Unresolved tasks in scope that are past due in the webhook's time zone. `keys` are all of
+// them; `overdue` only those not reported before (a new due date counts as new).
+function collectNewlyOverdue(webhook, tasks, scope) {
+  const today = zonedClock(webhook.timeZone).date;
+  const notified = new Set(webhook.overdueNotified || []);
+  const overdue = [];
+  const keys = [];
+  for (const task of tasks) {
+    if (task._deleted || !task.dueDate || task.dueDate.slice(0, 10) >= today) continue;
+    if (queryEngine.isResolved(task.status) || !scope.test(task)) continue;
+    const key = `${task.id}:${task.dueDate}`;
+    keys.push(key);
+    if (!notified.has(key)) overdue.push(task);
+  }
+  return { overdue, keys };
+}
+
+function digestTask(task) {
+  return {
+    id: String(task.id),
+    ticketKey: task.ticketKey,
+    title: task.title,
+    project: task.project,
+    status: task.status,
+    assignee: task.assignee,
+    dueDate: task.dueDate || null,
+    url: task.url
+  };
+}
+
+function digestCounts(digest) {
+  return Object.fromEntries(Object.entries(digest.sections).map(([kind, tasks]) => [kind, tasks.length]));
+}
+
+function digestHeadline(digest) {
+  if (digest.test) return `${digest.title}: test message. Sync digests for ${digest.scope} will be posted here.`;
+  const parts = Object.entries(digest.sections)
+    .filter(([, tasks]) => tasks.length > 0)
+    .map(([kind, tasks]) => `${tasks.length} ${DIGEST_SECTION_LABELS[kind].toLowerCase()}`);
+  return `${digest.title}: ${parts.join(', ')} (${digest.scope})`;
+}
+
+// Chat formats list a few tasks per section; the JSON format carries every one
+function digestLines(tasks, line) {
+  const lines = tasks.slice(0, OUTGOING_WEBHOOK_TASK_LINES).map(line);
+  if (tasks.length > lines.length) lines.push(`…and ${tasks.length - lines.length} more`);
+  return lines;
+}
+
+function digestTaskDetail(task) {
+  return [task.status, task.assignee, task.dueDate ? `due ${task.dueDate.slice(0, 10)}` : null].filter(Boolean).join(' · ');
+}
+
+// Adaptive Card, accepted by Teams Workflows ("when a webhook request is received") and connectors
+function teamsMessage(body) {
+  return {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      content: { $schema: 'http://adaptivecards.io/schemas/adaptive-card.json', type: 'AdaptiveCard', version: '1.4', body }
+    }]
+  };
+}
+
+function formatOutgoingPayload(format, digest) {
+  const sections = Object.entries(digest.sections).filter(([, tasks]) => tasks.length > 0);
+
+  if (format === 'slack') {
+    // Slack mrkdwn: only &, < and > need escaping
+    const escape = text => String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const blocks = sections.map(([kind, tasks]) => `*${DIGEST_SECTION_LABELS[kind]} (${tasks.length})*\n` +
+      digestLines(tasks, t => `• <${t.url}|${escape(t.ticketKey)}> ${escape(t.title)} · ${escape(digestTaskDetail(t))}`).join('\n'));
+    return { text: [escape(digestHeadline(digest)), ...blocks].join('\n\n') };
+  }
+
+  if (format === 'teams') {
+    const escape = text => String(text || '').replace(/[[\]*_]/g, c => '\\' + c);
+    const body = [{ type: 'TextBlock', text: escape(digestHeadline(digest)), weight: 'Bolder', size: 'Medium', wrap: true }];
+    for (const [kind, tasks] of sections) {
+      body.push({ type: 'TextBlock', text: `**${DIGEST_SECTION_LABELS[kind]} (${tasks.length})**`, spacing: 'Medium', wrap: true });
+      body.push({
+        type: 'TextBlock',
+        text: digestLines(tasks, t => `- [${escape(t.ticketKey)}](${t.url}) ${escape(t.title)} · ${escape(digestTaskDetail(t))}`).join('\n'),
+        wrap: true
+      });
+    }
+    return teamsMessage(body);
+  }
+
+  return {
+    event: digest.test ? 'test' : 'sync',
+    source: digest.source,
+    scope: digest.scope,
+    generatedAt: digest.generatedAt,
+    summary: digestHeadline(digest),
+    counts: digestCounts(digest),
+    tasks: Object.fromEntries(Object.entries(digest.sections).map(([kind, tasks]) => [kind, tasks.map(digestTask)]))
+  };
+}
+
+// POST a payload, retrying rate limits, server errors and network failures with backoff.
+// No attempt or retry runs past `deadline` (ms). Returns { ok, status, attempts, error }.
+async function postOutgoingWebhook(url, payload, deadline = Date.now() + OUTGOING_WEBHOOK_BUDGET) {
+  let status = 0;
+  let error = null;
+  let attempt = 0;
+  while (attempt < OUTGOING_WEBHOOK_ATTEMPTS) {
+    if (attempt > 0) {
+      const delay = OUTGOING_WEBHOOK_RETRY_DELAY * 4 ** (attempt - 1);
+      if (Date.now() + delay >= deadline) break;
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+    const timeLeft = Math.min(OUTGOING_WEBHOOK_TIMEOUT, deadline - Date.now());
+    if (timeLeft <= 0) break;
+    attempt++;
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'User-Agent': 'Better-Productive-Webhook' },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(timeLeft)
+      });
+      status = response.status;
+      if (response.ok) return { ok: true, status, attempts: attempt, error: null };
+      error = `HTTP ${status}: ${(await response.text()).slice(0, 200)}`;
+      if (status !== 429 && status < 500) return { ok: false, status, attempts: attempt, error };
+    } catch (e) {
+      status = 0;
+      error = e.message;
+    }
+  }
+  return { ok: false, status, attempts: attempt, error: error || 'Out of delivery time' };
+}
+
+const OUTGOING_WEBHOOK_LOG_PREFIX = 'outgoing_webhook_log_';
+
+// One key per entry, so concurrent deliveries never overwrite each other's entries. Keys sort
+// newest first (the timestamp counts down); old entries expire after OUTGOING_WEBHOOK_LOG_TTL.
+async function appendOutgoingWebhookLog(store, entries) {
+  await Promise.all(entries.map(entry => {
+    const countdown = String(8640000000000000 - Date.parse(entry.at)).padStart(16, '0');
+    return store.put(`${OUTGOING_WEBHOOK_LOG_PREFIX}${countdown}_${crypto.randomUUID()}`, JSON.stringify(entry), {
+      ttl: OUTGOING_WEBHOOK_LOG_TTL
+    });
+  }));
+}
+
+// Newest first; entries from before per-entry keys (`outgoing_webhook_log`) follow until they age out
+async function loadOutgoingWebhookLog(store) {
+  const [entries, legacyJson] = await Promise.all([
+    store.list({ prefix: OUTGOING_WEBHOOK_LOG_PREFIX, limit: OUTGOING_WEBHOOK_LOG_LIMIT }),
+    store.get('outgoing_webhook_log')
+  ]);
+  return [...entries.map(e => JSON.parse(e.value)), ...JSON.parse(legacyJson || '[]')]
+    .slice(0, OUTGOING_WEBHOOK_LOG_LIMIT);
+}
+
+// Merge what a delivery round changed (cursor, overdueNotified, lastDeliveryAt, lastOk) into the
+// current list: webhooks edited meanwhile keep their edits, deleted ones stay deleted, and a
+// cursor never moves back (a concurrent round may have delivered further)
+async function saveOutgoingWebhookState(store, updates) {
+  if (updates.size === 0) return;
+  const webhooks = await loadOutgoingWebhooks(store);
+  let changed = false;
+  for (const webhook of webhooks) {
+    const update = updates.get(webhook.id);
+    if (!update) continue;
+    const { cursor, ...rest } = update;
+    Object.assign(webhook, rest);
+    if (cursor !== undefined) webhook.cursor = Math.max(webhook.cursor || 0, cursor);
+    changed = true;
+  }
+  if (changed) await store.put('outgoing_webhooks', JSON.stringify(webhooks));
+}
+
+function outgoingWebhookLogEntry(webhook, trigger, result, counts) {
+  return {
+    at: new Date().toISOString(),
+    webhookId: webhook.id,
+    name: webhook.name,
+    trigger,
+    ok: result.ok,
+    status: result.status,
+    attempts: result.attempts,
+    error: result.error,
+    counts
+  };
+}
+
+// Send every enabled webhook what changed since its last delivery, up to and including
+// `entry` (the history entry of the sync that triggered it; later ones wait for the next
+// sync). `baseline` (the first sync, where every task is new) only moves the cursors.
+// Never throws: a broken webhook must not fail the sync that triggered it.
+async function deliverSyncDigests(env, tasks, entry, { baseline = false } = {}) {
+  try {
+    const store = getStorage(env);
+    const webhooks = await loadOutgoingWebhooks(store);
+    if (webhooks.length === 0) return;
+
+    // Newest first; capped at what the history keeps anyway
+    const latestId = entry.id;
+    const entries = (await store.history.list({ limit: 500 })).filter(e => e.id <= latestId);
+    const source = entry.source;
+    const [views, personId, changedIdsJson, pageTitle] = await Promise.all([
+      loadSavedViews(env),
+      store.get('current_person_id'),
+      store.get('changed_task_ids'),
+      store.get('config_page_title')
+    ]);
+    const context = { personId: personId || null, changedIds: new Set(JSON.parse(changedIdsJson || '[]').map(String)) };
+    const tasksById = new Map(tasks.map(t => [String(t.id), t]));
+    const deadline = Date.now() + OUTGOING_WEBHOOK_BUDGET;
+    const updates = new Map();
+    const log = [];
+
+    await Promise.all(webhooks.map(async webhook => {
+      // Disabled webhooks skip ahead, so turning one back on doesn't replay the gap
+      if (!webhook.enabled || baseline) {
+        updates.set(webhook.id, { cursor: latestId, ...(baseline ? { overdueNotified: null } : {}) });
+        return;
+      }
+
+      const scope = taskScope(webhook, views, context);
+      if (scope.error) {
+        log.push(outgoingWebhookLogEntry(webhook, 'sync', { ok: false, status: 0, attempts: 0, error: scope.error }, null));
+        return;
+      }
+
+      const changes = mergeHistoryEntries(entries.filter(e => e.id > (webhook.cursor || 0)).reverse());
+      const { overdue, keys } = collectNewlyOverdue(webhook, tasks, scope);
+      const sections = {};
+      for (const kind of ['new', 'updated', 'deleted']) {
+        if (!webhook.events.includes(kind)) continue;
+        const inScope = kind === 'deleted' ? scope.testDeleted : scope.test;
+        sections[kind] = [...changes[kind]].map(id => tasksById.get(id)).filter(t => t && inScope(t));
+      }
+      // A webhook's first look at overdue tasks only records them
+      if (webhook.events.includes('overdue') && webhook.overdueNotified) sections.overdue = overdue;
+
+      const digest = {
+        title: pageTitle || 'Better Productive', source, scope: scope.label,
+        generatedAt: new Date().toISOString(), sections
+      };
+      const counts = digestCounts(digest);
+      const update = {};
+      if (Object.values(counts).some(n => n > 0)) {
+        const result = await postOutgoingWebhook(webhook.url, formatOutgoingPayload(webhook.format, digest), deadline);
+        log.push(outgoingWebhookLogEntry(webhook, 'sync', result, counts));
+        update.lastDeliveryAt = new Date().toISOString();
+        update.lastOk = result.ok;
+        // The cursor stays put, so the next sync sends these changes again
+        if (!result.ok) {
+          updates.set(webhook.id, update);
+          return;
+        }
+      }
+      // Never move a cursor back (a later sync may have delivered already)
+      updates.set(webhook.id, { ...update, cursor: latestId, overdueNotified: keys });
+    }));
+
+    await saveOutgoingWebhookState(store, updates);
+    await appendOutgoingWebhookLog(store, log);
+  } catch (error) {
+    console.error('Outgoing webhooks failed:', error);
+  }
+}
+
+// Validate create/update input against the current webhook (if any); returns { fields } or { error }
+function parseOutgoingWebhook(body, views, current = {}) {
+  const fields = {};
+  const name = body.name !== undefined ? String(body.name).trim() : current.name;
+  if (!name || name.length > 60) return { error: 'Name must be 1-60 characters' };
+  fields.name = name;
+
+  if (body.url !== undefined && body.url !== '') {
+    let parsed;
+    try {
+      parsed = new URL(body.url);
+    } catch (e) {
+      return { error: 'Invalid URL' };
+    }
+    if (parsed.protocol !== 'https:') return { error: 'Webhook URL must use https' };
+    fields.url = parsed.href;
+  } else if (!current.url) {
+    return { error: 'Webhook URL is required' };
+  }
+
+  const format = body.format ?? current.format ?? 'json';
+  if (!OUTGOING_WEBHOOK_FORMATS.includes(format)) {
+    return { error: 'format must be one of: ' + OUTGOING_WEBHOOK_FORMATS.join(', ') };
+  }
+  fields.format = format;
+
+  const events = Array.isArray(body.events) ? [...new Set(body.events)] : current.events || OUTGOING_WEBHOOK_EVENTS;
+  if (events.length === 0 || events.some(e => !OUTGOING_WEBHOOK_EVENTS.includes(e))) {
+    return { error: 'events must be among: ' + OUTGOING_WEBHOOK_EVENTS.join(', ') };
+  }
+  fields.events = events;
+
+  // Scope: a project prefix or a saved view, not both
+  const project = body.project !== undefined ? String(body.project || '').trim().toUpperCase() : current.project || '';
+  const viewId = body.viewId !== undefined ? String(body.viewId || '') : current.viewId || '';
+  if (project && viewId) return { error: 'Scope by a project or a saved view, not both' };
+  if (project && !/^[A-Z0-9]{1,16}$/.test(project)) return { error: 'Invalid project prefix' };
+  if (viewId && !views.some(v => v.id === viewId)) return { error: 'Saved view not found' };
+  fields.project = project || null;
+  fields.viewId = viewId || null;
+
+  const timeZone = body.timeZone || current.timeZone || 'UTC';
+  if (!isValidTimeZone(timeZone)) return { error: 'Unknown time zone' };
+  fields.timeZone = timeZone;
+
+  fields.enabled = body.enabled !== undefined ? body.enabled !== false : current.enabled !== false;
+  return { fields };
+}
+
+// Webhook as shown in Settings: the URL usually embeds a secret, so only its host is returned
+function publicOutgoingWebhook(webhook) {
+  const { url, cursor, overdueNotified, ...rest } = webhook;
+  return { ...rest, host: new URL(url).host };
+}
+
+// GET /api/outgoing-webhooks → webhooks and the delivery log
+// POST /api/outgoing-webhooks {action: 'create' | 'update' | 'delete' | 'test', id, ...}
+async function handleOutgoingWebhooks(request, env) {
+  const store = getStorage(env);
+
+  if (request.method === 'GET') {
+    const [webhooks, log] = await Promise.all([loadOutgoingWebhooks(store), loadOutgoingWebhookLog(store)]);
+    return new Response(JSON.stringify({
+      webhooks: webhooks.map(publicOutgoingWebhook),
+      log,
+      formats: OUTGOING_WEBHOOK_FORMATS,
+      events: OUTGOING_WEBHOOK_EVENTS
+    }), { headers: corsHeaders() });
+  }
+
+  if (request.method !== 'POST') {
+    return new Response(JSON.stringify({ error: 'Method not allowed' }), {
+      status: 405, headers: corsHeaders()
+    });
+  }
+
+  try {
+    const body = await request.json();
+    const [webhooks, views] = await Promise.all([loadOutgoingWebhooks(store), loadSavedViews(env)]);
+    const index = webhooks.findIndex(w => w.id === body.id);
+    if (body.action !== 'create' && index === -1) {
+      return new Response(JSON.stringify({ error: 'Webhook not found' }), { status: 404, headers: corsHeaders() });
+    }
+
+    switch (body.action) {
+      case 'create': {
+        if (webhooks.length >= OUTGOING_WEBHOOK_LIMIT) {
+          return new Response(JSON.stringify({ error: `At most ${OUTGOING_WEBHOOK_LIMIT} webhooks allowed` }), {
+            status: 400, headers: corsHeaders()
+          });
+        }
+        const { fields, error } = parseOutgoingWebhook(body, views);
+        if (error) {
+          return new Response(JSON.stringify({ error }), { status: 400, headers: corsHeaders() });
+        }
+        // Starts from the latest sync: earlier changes aren't replayed
+        const [latest] = await store.history.list({ limit: 1 });
+        const webhook = {
+          id: crypto.randomUUID(), createdAt: new Date().toISOString(), ...fields,
+          cursor: latest ? latest.id : 0, overdueNotified: null
+        };
+        webhooks.push(webhook);
+        await store.put('outgoing_webhooks', JSON.stringify(webhooks));
+        return new Response(JSON.stringify({ success: true, webhook: publicOutgoingWebhook(webhook) }), {
+          headers: corsHeaders()
         });
-        
-      } catch (error) {
-        if (error.name === 'AbortError') {
-          console.log('Sync cancelled by client');
-        } else {
-          sendEvent({
-            type: 'error',
-            success: false,
-            error: error.message
-          });
+      }
+
+      case 'update': {
+        const { fields, error } = parseOutgoingWebhook(body, views, webhooks[index]);
+        if (error) {
+          return new Response(JSON.stringify({ error }), { status: 400, headers: corsHeaders() });
+        }
+        webhooks[index] = { ...webhooks[index], ...fields };
+        await store.put('outgoing_webhooks', JSON.stringify(webhooks));
+        return new Response(JSON.stringify({ success: true, webhook: publicOutgoingWebhook(webhooks[index]) }), {
+          headers: corsHeaders()
+        });
+      }
+
+      case 'delete': {
+        webhooks.splice(index, 1);
+        await store.put('outgoing_webhooks', JSON.stringify(webhooks));
+        return new Response(JSON.stringify({ success: true }), { headers: corsHeaders() });
+      }
+
+      case 'test': {
+        const webhook = webhooks[index];
+        const scope = taskScope(webhook, views, {});
+        const digest = {
+          test: true,
+          title: await store.get('config_page_title') || 'Better Productive',
+          source: 'test',
+          scope: scope.label || 'a deleted view',
+          generatedAt: new Date().toISOString(),
+          sections: {}
+        };
+        const result = await postOutgoingWebhook(webhook.url, formatOutgoingPayload(webhook.format, digest));
+        await appendOutgoingWebhookLog(store, [outgoingWebhookLogEntry(webhook, 'test', result, null)]);
+        return new Response(JSON.stringify(result.ok ? { success: true, ...result } : { error: result.error, ...result }), {
+          status: result.ok ? 200 : 502, headers: corsHeaders()
+        });
+      }
+
+      default:
+        return new Response(JSON.stringify({ error: 'Unknown action' }), {
+          status: 400, headers: corsHeaders()
+        });
+    }
+  } catch (error) {
+    console.error('Outgoing webhook settings error:', error);
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: 500, headers: corsHeaders()
+    });
+  }
+}
+
+// =============================================================================
+// Digest Reports - what changed, what's due and what got resolved over a window
+// =============================================================================
+// GET /api/digest builds a report from the stored tasks and the sync history for a window
+// (the last day or week, or since/until) as JSON, Markdown or email-ready HTML, grouped by
+// project and board like "Copy all as Markdown". With a schedule set in Settings, the first
+// cron run of each day (or each Monday) stores the report as `digest_latest` and sends it to
+// outgoing webhooks that subscribe to the `digest` event. `digest_deliveries` records which
+// webhooks are done for the day; later cron runs that day retry the rest.
+
+const DIGEST_REPORT_SECTIONS = [
+  ['changed', 'Changed'],
+  ['resolved', 'Resolved'],
+  ['dueThisWeek', 'Due this week'],
+  ['overdue', 'Overdue']
+];
+
+// Project and board groups, in name order with board-less tasks last; tasks by due date then number
+function groupDigestTasks(tasks) {
+  const projects = new Map();
+  for (const task of tasks) {
+    const projectKey = String(task.projectId);
+    if (!projects.has(projectKey)) {
+      projects.set(projectKey, {
+        project: task.project,
+        projectPrefix: task.projectPrefix,
+        // Same org path as the task link: .../tasks/task/<id> → .../projects/<projectId>
+        url: task.url ? task.url.replace(/\/tasks\/task\/[^/]+$/, '/projects/' + task.projectId) : null,
+        boards: new Map()
+      });
+    }
+    const boards = projects.get(projectKey).boards;
+    const boardKey = task.boardName || '';
+    if (!boards.has(boardKey)) boards.set(boardKey, { board: task.boardName || null, tasks: [] });
+    boards.get(boardKey).tasks.push(task);
+  }
+
+  const byName = (a, b) => (!a) - (!b) || (a || '').localeCompare(b || '');
+  return [...projects.values()]
+    .sort((a, b) => byName(a.project, b.project))
+    .map(group => ({
+      ...group,
+      boards: [...group.boards.values()]
+        .sort((a, b) => byName(a.board, b.board))
+        .map(board => ({
+          board: board.board,
+          tasks: board.tasks
+            .sort((a, b) => compareDates(a.dueDate, b.dueDate, 1) || a.ticketNumber - b.ticketNumber)
+            .map(task => ({ ...digestTask(task), ...(task.change ? { change: task.change } : {}) }))
+        }))
+    }));
+}
+
+// The report for [since, until]. `entries` is the sync history (any order), `scope` from taskScope.
+// "Resolved" means changed in the window and now in a done/closed status.
+function buildDigest({ tasks, entries, since, until, period, timeZone, scope, title }) {
+  const today = zonedClock(timeZone).date;
+  const weekEnd = addDays(today, 6);
+  const windowEntries = entries
+    .filter(e => e.syncedAt >= since && e.syncedAt <= until)
+    .sort((a, b) => a.id - b.id);
+  const changes = mergeHistoryEntries(windowEntries);
+  // Pinned ghosts are reference-only, as in "Copy all as Markdown"
+  const tasksById = new Map(tasks.filter(t => !t._manual).map(t => [String(t.id), t]));
+
+  const sections = { changed: [], resolved: [], dueThisWeek: [], overdue: [] };
+  for (const kind of ['new', 'updated']) {
+    for (const id of changes[kind]) {
+      const task = tasksById.get(id);
+      if (!task || task._deleted || !scope.test(task)) continue;
+      if (queryEngine.isResolved(task.status)) sections.resolved.push(task);
+      else sections.changed.push({ ...task, change: kind });
+    }
+  }
+  for (const id of changes.deleted) {
+    const task = tasksById.get(id);
+    if (task && scope.testDeleted(task)) sections.changed.push({ ...task, change: 'deleted' });
+  }
+  for (const task of tasksById.values()) {
+    if (task._deleted || !task.dueDate || queryEngine.isResolved(task.status) || !scope.test(task)) continue;
+    const due = task.dueDate.slice(0, 10);
+    if (due < today) sections.overdue.push(task);
+    else if (due <= weekEnd) sections.dueThisWeek.push(task);
+  }
+
+  return {
+    title,
+    period,
+    since,
+    until,
+    timeZone,
+    scope: scope.label,
+    generatedAt: new Date().toISOString(),
+    counts: Object.fromEntries(Object.entries(sections).map(([key, list]) => [key, list.length])),
+    sections: Object.fromEntries(Object.entries(sections).map(([key, list]) => [key, groupDigestTasks(list)]))
+  };
+}
+
+function digestWindowLabel(digest) {
+  const format = iso => new Date(iso).toLocaleDateString('en-AU', {
+    timeZone: digest.timeZone, day: 'numeric', month: 'short', year: 'numeric'
+  });
+  const periodName = { daily: 'Daily digest', weekly: 'Weekly digest' }[digest.period] || 'Digest';
+  return { heading: `${digest.title}: ${periodName}`, range: `${format(digest.since)} – ${format(digest.until)} (${digest.timeZone}, ${digest.scope})` };
+}
+
+function digestTaskSuffix(task) {
+  const parts = [task.status];
+  if (task.change) parts.push(task.change);
+  if (task.dueDate) parts.push(`due ${task.dueDate.slice(0, 10)}`);
+  if (task.assignee && task.assignee !== 'Unassigned') parts.push(task.assignee);
+  return parts.join(' · ');
+}
+
+// Markdown in three dialects: plain (files, email), Slack mrkdwn, and Teams (no headings).
+// `limit` caps the tasks listed per section for chat messages.
+function renderDigestText(digest, { dialect = 'markdown', limit = Infinity } = {}) {
+  const slack = dialect === 'slack';
+  const escape = slack
+    ? text => String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    : text => String(text || '').replace(/[[\]*_]/g, c => '\\' + c);
+  const bold = text => slack ? `*${text}*` : `**${text}**`;
+  const link = (text, url) => !url ? text : slack ? `<${url}|${text}>` : `[${text}](${url})`;
+  const heading = (level, text) => dialect === 'markdown' ? `${'#'.repeat(level)} ${text}` : bold(text);
+
+  const { heading: title, range } = digestWindowLabel(digest);
+  const lines = [heading(1, escape(title)), `_${escape(range)}_`, ''];
+  for (const [key, label] of DIGEST_REPORT_SECTIONS) {
+    const total = digest.counts[key];
+    lines.push(heading(2, `${label} (${total})`));
+    if (total === 0) {
+      lines.push('Nothing.', '');
+      continue;
+    }
+    let shown = 0;
+    for (const group of digest.sections[key]) {
+      if (shown >= limit) break;
+      lines.push(heading(3, link(escape(group.project), group.url)));
+      for (const board of group.boards) {
+        if (shown >= limit) break;
+        if (board.board) lines.push(slack ? `_${escape(board.board)}_` : bold(escape(board.board)));
+        for (const task of board.tasks) {
+          if (shown >= limit) break;
+          lines.push(`${slack ? '•' : '-'} ${link(escape(`${task.ticketKey} ${task.title}`), task.url)} (${escape(digestTaskSuffix(task))})`);
+          shown++;
         }
-      } finally {
-        controller.close();
       }
     }
+    if (total > shown) lines.push(`…and ${total - shown} more`);
+    lines.push('');
+  }
+  return lines.join('\n').trim();
+}
+
+// Standalone HTML with inline styles, so it can be pasted or sent as an email body
+function renderDigestHtml(digest) {
+  const { heading, range } = digestWindowLabel(digest);
+  const font = 'font-family: -apple-system, Segoe UI, Helvetica, Arial, sans-serif;';
+  let body = `<h1 style="${font} font-size: 20px; margin: 0 0 4px;">${escapeHtml(heading)}</h1>` +
+    `<p style="${font} color: #666; margin: 0 0 16px;">${escapeHtml(range)}</p>`;
+
+  for (const [key, label] of DIGEST_REPORT_SECTIONS) {
+    body += `<h2 style="${font} font-size: 16px; margin: 20px 0 8px; border-bottom: 1px solid #ddd;">${escapeHtml(label)} (${digest.counts[key]})</h2>`;
+    if (digest.counts[key] === 0) {
+      body += `<p style="${font} color: #666;">Nothing.</p>`;
+      continue;
+    }
+    for (const group of digest.sections[key]) {
+      const project = group.url ? `<a href="${escapeHtml(group.url)}" style="color: #1a73e8;">${escapeHtml(group.project)}</a>` : escapeHtml(group.project);
+      body += `<h3 style="${font} font-size: 14px; margin: 12px 0 4px;">${project}</h3>`;
+      for (const board of group.boards) {
+        if (board.board) body += `<p style="${font} font-size: 13px; font-weight: 600; color: #444; margin: 6px 0 2px;">${escapeHtml(board.board)}</p>`;
+        body += `<ul style="${font} font-size: 13px; margin: 0 0 8px; padding-left: 20px;">` + board.tasks.map(task =>
+          `<li><a href="${escapeHtml(task.url)}" style="color: #1a73e8;">${escapeHtml(task.ticketKey)}</a> ${escapeHtml(task.title)} ` +
+          `<span style="color: #666;">${escapeHtml(digestTaskSuffix(task))}</span></li>`).join('') + '</ul>';
+      }
+    }
+  }
+
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${escapeHtml(heading)}</title></head>` +
+    `<body style="margin: 0; padding: 24px; background: #fff; color: #222;">${body}</body></html>`;
+}
+
+function digestResponse(digest, format) {
+  if (format === 'markdown') {
+    return new Response(renderDigestText(digest), {
+      headers: { ...corsHeaders(), 'Content-Type': 'text/markdown; charset=utf-8' }
+    });
+  }
+  if (format === 'html') {
+    return new Response(renderDigestHtml(digest), {
+      headers: { ...corsHeaders(), 'Content-Type': 'text/html; charset=utf-8' }
+    });
+  }
+  return new Response(JSON.stringify(digest), { headers: corsHeaders() });
+}
+
+// Everything a digest is built from; `scopeOptions` is { project, viewId }
+async function loadDigestInputs(env, since) {
+  const store = getStorage(env);
+  const [tasks, entries, views, personId, changedIdsJson, pageTitle] = await Promise.all([
+    store.tasks.all(),
+    store.history.list({ since, limit: 500 }),
+    loadSavedViews(env),
+    store.get('current_person_id'),
+    store.get('changed_task_ids'),
+    store.get('config_page_title')
+  ]);
+  return {
+    tasks: tasks || [],
+    entries,
+    views,
+    context: { personId: personId || null, changedIds: new Set(JSON.parse(changedIdsJson || '[]').map(String)) },
+    title: pageTitle || 'Better Productive'
+  };
+}
+
+async function loadDigestSchedule(store) {
+  return JSON.parse(await store.get('config_digest_schedule') || 'null') || { schedule: 'off', timeZone: 'UTC' };
+}
+
+// GET /api/digest?period=daily|weekly (or since=&until=) &format=json|markdown|html
+//   &project=PRIM | &view=<saved view id> &timeZone=   ·   ?latest=1 → the last scheduled digest
+async function handleDigest(url, env) {
+  const store = getStorage(env);
+  const params = url.searchParams;
+  const format = params.get('format') || 'json';
+  if (!DIGEST_FORMATS.includes(format)) {
+    return new Response(JSON.stringify({ error: 'format must be one of: ' + DIGEST_FORMATS.join(', ') }), {
+      status: 400, headers: corsHeaders()
+    });
+  }
+
+  if (params.get('latest') === '1' || params.get('latest') === 'true') {
+    const latest = JSON.parse(await store.get('digest_latest') || 'null');
+    if (!latest) {
+      return new Response(JSON.stringify({ error: 'No scheduled digest yet' }), { status: 404, headers: corsHeaders() });
+    }
+    return digestResponse(latest, format);
+  }
+
+  // An explicit since= wins over period=
+  const period = params.get('since') ? 'custom' : params.get('period') || 'weekly';
+  if (period !== 'custom' && !DIGEST_PERIODS[period]) {
+    return new Response(JSON.stringify({ error: 'period must be daily or weekly (or pass since)' }), {
+      status: 400, headers: corsHeaders()
+    });
+  }
+  const until = params.get('until') ? new Date(params.get('until')) : new Date();
+  const since = period === 'custom'
+    ? new Date(params.get('since'))
+    : new Date(until.getTime() - DIGEST_PERIODS[period] * 86400000);
+  if (isNaN(since) || isNaN(until) || since >= until) {
+    return new Response(JSON.stringify({ error: 'since and until must be dates with since before until' }), {
+      status: 400, headers: corsHeaders()
+    });
+  }
+
+  const timeZone = params.get('timeZone') || (await loadDigestSchedule(store)).timeZone;
+  if (!isValidTimeZone(timeZone)) {
+    return new Response(JSON.stringify({ error: 'Unknown time zone' }), { status: 400, headers: corsHeaders() });
+  }
+
+  const inputs = await loadDigestInputs(env, since.toISOString());
+  const scope = taskScope({ project: (params.get('project') || '').toUpperCase(), viewId: params.get('view') }, inputs.views, inputs.context);
+  if (scope.error) {
+    return new Response(JSON.stringify({ error: 'Saved view not found' }), { status: 404, headers: corsHeaders() });
+  }
+
+  const digest = buildDigest({
+    ...inputs, scope, period, timeZone, since: since.toISOString(), until: until.toISOString()
   });
-  
-  return new Response(stream, {
+  return digestResponse(digest, format);
+}
+
+// Cron: build and store the day's (or Monday's) digest once, then hand it to outgoing webhooks.
+// Webhooks that haven't had it yet (a failed delivery, or added since) get it on each later run that day.
+async function runScheduledDigest(env) {
+  const store = getStorage(env);
+  const { schedule, timeZone } = await loadDigestSchedule(store);
+  if (!DIGEST_PERIODS[schedule]) return;
+
+  const { date } = zonedClock(timeZone);
+  if (schedule === 'weekly' && new Date(date + 'T00:00:00Z').getUTCDay() !== 1) return;
+
+  const [latestDate, deliveriesJson] = await Promise.all([
+    store.get('digest_latest_date'),
+    store.get('digest_deliveries')
+  ]);
+  let deliveries = JSON.parse(deliveriesJson || 'null');
+  let inputs = null;
+
+  if (latestDate !== date) {
+    const until = new Date();
+    const since = new Date(until.getTime() - DIGEST_PERIODS[schedule] * 86400000);
+    inputs = await loadDigestInputs(env, since.toISOString());
+    const span = { period: schedule, timeZone, since: since.toISOString(), until: until.toISOString() };
+    const digest = buildDigest({ ...inputs, ...span, scope: taskScope({}, inputs.views, inputs.context) });
+    deliveries = { date, span, done: [] };
+    await store.put('digest_latest', JSON.stringify(digest));
+    await store.put('digest_deliveries', JSON.stringify(deliveries));
+    await store.put('digest_latest_date', date);
+    console.log(`Stored ${schedule} digest for ${date}`);
+  } else if (deliveries?.date !== date) {
+    return;
+  }
+
+  const webhooks = (await loadOutgoingWebhooks(store))
+    .filter(w => w.enabled && w.events.includes('digest') && !deliveries.done.includes(w.id));
+  if (webhooks.length === 0) return;
+
+  const done = await deliverDigestToWebhooks(env, inputs || await loadDigestInputs(env, deliveries.span.since),
+    deliveries.span, webhooks);
+  if (done.length > 0) {
+    deliveries.done = [...new Set([...deliveries.done, ...done])];
+    await store.put('digest_deliveries', JSON.stringify(deliveries));
+  }
+}
+
+// Each webhook gets the digest for its own scope, in its own format, all within one time budget.
+// Returns the IDs of the webhooks that are done: delivered, or scoped to a view that no longer exists.
+async function deliverDigestToWebhooks(env, inputs, span, webhooks) {
+  const store = getStorage(env);
+  const deadline = Date.now() + OUTGOING_WEBHOOK_BUDGET;
+  const log = [];
+  const done = [];
+  await Promise.all(webhooks.map(async webhook => {
+    const scope = taskScope(webhook, inputs.views, inputs.context);
+    if (scope.error) {
+      log.push(outgoingWebhookLogEntry(webhook, 'digest', { ok: false, status: 0, attempts: 0, error: scope.error }, null));
+      done.push(webhook.id);
+      return;
+    }
+    const digest = buildDigest({ ...inputs, ...span, scope });
+    const payload = webhook.format === 'slack'
+      ? { text: renderDigestText(digest, { dialect: 'slack', limit: OUTGOING_WEBHOOK_TASK_LINES * 2 }) }
+      : webhook.format === 'teams'
+        ? teamsMessage([{ type: 'TextBlock', text: renderDigestText(digest, { dialect: 'teams', limit: OUTGOING_WEBHOOK_TASK_LINES * 2 }), wrap: true }])
+        : { event: 'digest', ...digest };
+    const result = await postOutgoingWebhook(webhook.url, payload, deadline);
+    log.push(outgoingWebhookLogEntry(webhook, 'digest', result, digest.counts));
+    if (result.ok) done.push(webhook.id);
+  }));
+  await appendOutgoingWebhookLog(store, log);
+  return done;
+}
+
+// =============================================================================
+// Calendar Feed - task due dates as iCalendar (/calendar.ics)
+// =============================================================================
+// Calendar apps can't log in, so each feed URL carries its own secret token (`cal_...`).
+// Like API keys, only a SHA-256 of each token is kept (`calendar_feeds`) and the URL is shown
+// once. A token only opens the feeds (this one and /feed.atom). Filters are the /api/search
+// parameters in the URL. Feed reads only write `calendar_feed_used_<id>`, never the list, so
+// they can't race with create/revoke.
+
+async function loadCalendarFeeds(store) {
+  return JSON.parse(await store.get('calendar_feeds') || '[]');
+}
+
+function calendarFeedUsedKey(id) {
+  return `calendar_feed_used_${id}`;
+}
+
+// Returns the matching feed record (with lastUsedAt), or null
+async function verifyCalendarFeed(env, token) {
+  if (!token || !token.startsWith(CALENDAR_FEED_PREFIX)) return null;
+  const store = getStorage(env);
+  const hash = await hashApiKey(token);
+  const feeds = await loadCalendarFeeds(store);
+  const feed = feeds.find(f => timingSafeEqual(f.hash, hash));
+  if (!feed) return null;
+
+  let lastUsedAt = await store.get(calendarFeedUsedKey(feed.id));
+  if (!lastUsedAt || Date.now() - new Date(lastUsedAt).getTime() > API_KEY_TOUCH_INTERVAL) {
+    lastUsedAt = new Date().toISOString();
+    await store.put(calendarFeedUsedKey(feed.id), lastUsedAt);
+  }
+  return { ...feed, lastUsedAt };
+}
+
+// The /api/search filters in a feed URL, plus `q` in the search syntax (board:, list:, ...)
+function feedTaskFilter(params, context) {
+  const filters = parseSearchParams(params);
+  const predicates = buildSearchPredicates(filters, context);
+  const ast = queryEngine.parse(params.get('q') || '');
+  const queryContext = { ...context, tzOffset: filters.tzOffset };
+  return t => predicates.every(p => p.test(t)) && queryEngine.matches(ast, t, queryContext);
+}
+
+// RFC 5545 §3.3.11 TEXT escaping
+function icsText(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded with CRLF + space, without splitting a UTF-8 character
+function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const length = encoder.encode(char).length;
+    if (size + length > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += length;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// 2026-10-20T03:04:05.000Z → 20261020T030405Z
+function icsTimestamp(value) {
+  const date = new Date(value);
+  return (isNaN(date) ? new Date() : date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function taskCalendarEvent(task, host) {
+  const start = task.dueDate.slice(0, 10);
+  const key = task.ticketKey || String(task.id);
+  const details = [
+    `Status: ${task.status}`,
+    task.project ? `Project: ${task.project}` : null,
+    `Assignee: ${task.assignee || 'Unassigned'}`,
+    task.boardName ? `Board: ${task.boardName}${task.taskListName ? ' / ' + task.taskListName : ''}` : null,
+    task.url
+  ].filter(Boolean);
+  return [
+    'BEGIN:VEVENT',
+    `UID:task-${task.id}@${host}`,
+    `DTSTAMP:${icsTimestamp(task.updatedAt)}`,
+    `LAST-MODIFIED:${icsTimestamp(task.updatedAt)}`,
+    `DTSTART;VALUE=DATE:${start.replace(/-/g, '')}`,
+    `DTEND;VALUE=DATE:${addDays(start, 1).replace(/-/g, '')}`,
+    `SUMMARY:${icsText(`${key} ${task.title} (${task.status})`)}`,
+    `DESCRIPTION:${icsText(details.join('\n'))}`,
+    task.url ? `URL:${task.url}` : null,
+    `CATEGORIES:${icsText(task.project)}`,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ].filter(Boolean);
+}
+
+// GET /calendar.ics?token=cal_...&project=&assignee=me&resolved=exclude (any /api/search filter, plus q)
+async function handleCalendarFeed(request, env, url) {
+  const feed = await verifyCalendarFeed(env, url.searchParams.get('token'));
+  if (!feed) {
+    return new Response(JSON.stringify({ error: 'Invalid or revoked calendar feed token' }), {
+      status: 401, headers: corsHeaders()
+    });
+  }
+
+  const store = getStorage(env);
+  const [tasks, personId, pageTitle] = await Promise.all([
+    store.tasks.all(),
+    store.get('current_person_id'),
+    store.get('config_page_title')
+  ]);
+  const context = { personId: personId || null, changedIds: new Set() };
+  const matches = feedTaskFilter(url.searchParams, context);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Better Productive//Task due dates//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsText(`${pageTitle || 'Better Productive'}: ${feed.name}`)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+  // Pinned ghosts are reference-only, so they stay off the calendar too
+  for (const task of tasks || []) {
+    if (task._deleted || task._manual || !/^\d{4}-\d{2}-\d{2}/.test(task.dueDate || '')) continue;
+    if (!matches(task)) continue;
+    lines.push(...taskCalendarEvent(task, url.hostname));
+  }
+  lines.push('END:VCALENDAR');
+
+  return new Response(lines.map(foldIcsLine).join('\r\n') + '\r\n', {
     headers: {
-      'Content-Type': 'text/event-stream',
-      'Cache-Control': 'no-cache',
-      'Connection': 'keep-alive',
-      'Access-Control-Allow-Origin': '*'
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="tasks.ics"',
+      'Cache-Control': 'private, max-age=300'
+    }
+  });
+}
+
+// Public view of a feed record (never includes the hash); lastUsedAt is kept under its own key
+function describeCalendarFeed(feed, lastUsedAt = null) {
+  const { hash, ...rest } = feed;
+  return { ...rest, lastUsedAt: lastUsedAt || feed.lastUsedAt || null };
+}
+
+// List (GET) and create/revoke (POST { action }) calendar feed tokens
+async function handleCalendarFeeds(request, env) {
+  const store = getStorage(env);
+
+  if (request.method === 'GET') {
+    const feeds = await loadCalendarFeeds(store);
+    const usedAt = await Promise.all(feeds.map(f => store.get(calendarFeedUsedKey(f.id))));
+    return new Response(JSON.stringify({ feeds: feeds.map((f, i) => describeCalendarFeed(f, usedAt[i])) }), {
+      headers: corsHeaders()
+    });
+  }
+
+  if (request.method !== 'POST') {
+    return new Response(JSON.stringify({ error: 'Method not allowed' }), {
+      status: 405, headers: corsHeaders()
+    });
+  }
+
+  try {
+    const { action, name, id } = await request.json();
+    const feeds = await loadCalendarFeeds(store);
+
+    switch (action) {
+      case 'create': {
+        const trimmedName = (name || '').trim();
+        if (!trimmedName || trimmedName.length > 60) {
+          return new Response(JSON.stringify({ error: 'Name must be 1-60 characters' }), {
+            status: 400, headers: corsHeaders()
+          });
+        }
+        if (feeds.length >= CALENDAR_FEED_LIMIT) {
+          return new Response(JSON.stringify({ error: `At most ${CALENDAR_FEED_LIMIT} calendar feeds allowed` }), {
+            status: 400, headers: corsHeaders()
+          });
+        }
+
+        const token = CALENDAR_FEED_PREFIX + generateSessionToken();
+        const feed = {
+          id: crypto.randomUUID(),
+          name: trimmedName,
+          hint: token.slice(0, CALENDAR_FEED_PREFIX.length + 6),
+          hash: await hashApiKey(token),
+          createdAt: new Date().toISOString()
+        };
+        feeds.push(feed);
+        await store.put('calendar_feeds', JSON.stringify(feeds));
+
+        // The token is only ever returned here
+        return new Response(JSON.stringify({ success: true, token, feed: describeCalendarFeed(feed) }), {
+          headers: corsHeaders()
+        });
+      }
+
+      case 'revoke': {
+        const remaining = feeds.filter(f => f.id !== id);
+        if (remaining.length === feeds.length) {
+          return new Response(JSON.stringify({ error: 'Calendar feed not found' }), {
+            status: 404, headers: corsHeaders()
+          });
+        }
+        await store.put('calendar_feeds', JSON.stringify(remaining));
+        await store.delete(calendarFeedUsedKey(id));
+        return new Response(JSON.stringify({ success: true }), { headers: corsHeaders() });
+      }
+
+      default:
+        return new Response(JSON.stringify({ error: 'Unknown action' }), {
+          status: 400, headers: corsHeaders()
+        });
+    }
+  } catch (error) {
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: 500, headers: corsHeaders()
+    });
+  }
+}
+
+// =============================================================================
+// Atom Feed - new and updated tasks from sync history (/feed.atom)
+// =============================================================================
+// Opened with a calendar feed token. Each entry is one task in one history entry (a sync or a
+// webhook delivery), so a task edited twice shows up twice; updates list the fields that
+// changed when history recorded them. `changed=1` narrows it to the dashboard's "New" tasks.
+
+// XML 1.0 has no place for most control characters, even escaped
+function xmlText(value) {
+  return escapeHtml(String(value ?? '').replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, ''));
+}
+
+function atomChangeLines(kind, task, changes) {
+  if (kind === 'new') {
+    return [
+      `New task in ${task.project}`,
+      `Status: ${task.status}`,
+      `Assignee: ${task.assignee || 'Unassigned'}`,
+      task.dueDate ? `Due date: ${task.dueDate.slice(0, 10)}` : null
+    ].filter(Boolean);
+  }
+  if (!changes) return ['Updated in Productive.io'];
+  return Object.entries(changes)
+    .filter(([field]) => HISTORY_CHANGE_FIELDS[field])
+    .map(([field, [before, after]]) => `${HISTORY_CHANGE_FIELDS[field]}: ${before ?? 'none'} → ${after ?? 'none'}`);
+}
+
+function atomEntry({ kind, task, changes, at, historyId }, origin) {
+  const key = task.ticketKey || String(task.id);
+  const link = task.ticketKey ? `${origin}/browse/${encodeURIComponent(task.ticketKey)}` : task.url;
+  const lines = atomChangeLines(kind, task, changes);
+  const place = [task.project, task.boardName, task.taskListName].filter(Boolean).join(' / ');
+  const html = `<p>${lines.map(escapeHtml).join('<br>')}</p>` +
+    `<p>${escapeHtml(place)} · <a href="${escapeHtml(task.url)}">Open in Productive.io</a></p>`;
+  return [
+    '  <entry>',
+    `    <id>${xmlText(`${origin}/feed.atom#task-${task.id}-${historyId}`)}</id>`,
+    `    <title>${xmlText(`${kind === 'new' ? 'New' : 'Updated'}: ${key} ${task.title}`)}</title>`,
+    `    <updated>${xmlText(at)}</updated>`,
+    `    <link rel="alternate" type="text/html" href="${xmlText(link)}"/>`,
+    `    <category term="${xmlText(task.projectPrefix)}" label="${xmlText(task.project)}"/>`,
+    `    <summary type="text">${xmlText(lines.join('\n'))}</summary>`,
+    `    <content type="html">${xmlText(html)}</content>`,
+    '  </entry>'
+  ].join('\n');
+}
+
+// GET /feed.atom?token=cal_...&project=&assignee=me&q=board:Dev (any /api/search filter, plus q)
+async function handleAtomFeed(request, env, url) {
+  const feed = await verifyCalendarFeed(env, url.searchParams.get('token'));
+  if (!feed) {
+    return new Response(JSON.stringify({ error: 'Invalid or revoked feed token' }), {
+      status: 401, headers: corsHeaders()
+    });
+  }
+
+  const store = getStorage(env);
+  const [tasks, history, personId, changedIdsJson, pageTitle, lastUpdated] = await Promise.all([
+    store.tasks.all(),
+    store.history.list({ limit: ATOM_FEED_HISTORY_DEPTH }),
+    store.get('current_person_id'),
+    store.get('changed_task_ids'),
+    store.get('config_page_title'),
+    store.get('last_updated')
+  ]);
+  const context = {
+    personId: personId || null,
+    changedIds: new Set(JSON.parse(changedIdsJson || '[]').map(String))
+  };
+  const matches = feedTaskFilter(url.searchParams, context);
+  const byId = new Map((tasks || []).map(t => [String(t.id), t]));
+
+  // History is newest first; tasks deleted since (or pinned ghosts) are left out
+  const items = [];
+  for (const entry of history) {
+    const changed = [
+      ...(entry.newIds || []).map(id => ['new', String(id)]),
+      ...(entry.updatedIds || []).map(id => ['updated', String(id)])
+    ];
+    for (const [kind, id] of changed) {
+      const task = byId.get(id);
+      if (!task || task._deleted || task._manual || !matches(task)) continue;
+      items.push({ kind, task, changes: entry.changes?.[id], at: entry.syncedAt, historyId: entry.entryId || entry.id });
+    }
+    if (items.length >= ATOM_FEED_ENTRY_LIMIT) break;
+  }
+
+  const origin = url.origin;
+  const xml = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${xmlText(`${origin}/feed.atom#${feed.id}`)}</id>`,
+    `  <title>${xmlText(`${pageTitle || 'Better Productive'}: ${feed.name}`)}</title>`,
+    '  <subtitle>New and updated tasks</subtitle>',
+    `  <updated>${xmlText(items[0]?.at || lastUpdated || new Date().toISOString())}</updated>`,
+    `  <link rel="self" type="application/atom+xml" href="${xmlText(url.href)}"/>`,
+    `  <link rel="alternate" type="text/html" href="${xmlText(origin + '/')}"/>`,
+    '  <author><name>Productive.io</name></author>',
+    '  <generator>Better Productive</generator>',
+    ...items.slice(0, ATOM_FEED_ENTRY_LIMIT).map(item => atomEntry(item, origin)),
+    '</feed>'
+  ];
+
+  return new Response(xml.join('\n') + '\n', {
+    headers: {
+      'Content-Type': 'application/atom+xml; charset=utf-8',
+      'Cache-Control': 'private, max-age=300'
     }
   });
 }
@@ -1928,16 +6117,27 @@ async function handleManualUpdate(request, env) {
 // HTML UI
 // =============================================================================
 
-async function renderSearchPage(env) {
-  const [lastUpdated, taskCount, assignedCount, config, pageTitle, remoteSearchEnabled] = await Promise.all([
-    env.TASKS_KV.get('last_updated'),
-    env.TASKS_KV.get('task_count'),
-    env.TASKS_KV.get('assigned_count'),
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+async function renderSearchPage(env, auth) {
+  const store = getStorage(env);
+  const isAdmin = auth.role === 'admin';
+  const [lastUpdated, taskCount, assignedCount, config, pageTitle, remoteSearchEnabled, digestSchedule] = await Promise.all([
+    store.get('last_updated'),
+    store.get('task_count'),
+    store.get('assigned_count'),
     getConfig(env),
-    env.TASKS_KV.get('config_page_title'),
-    env.TASKS_KV.get('config_remote_search_enabled')
+    store.get('config_page_title'),
+    store.get('config_remote_search_enabled'),
+    loadDigestSchedule(store)
   ]);
-  const remoteSearchOn = remoteSearchEnabled === 'true';
+  // Remote search is admin-only (it reaches beyond the shared dashboard)
+  const remoteSearchOn = remoteSearchEnabled === 'true' && isAdmin;
+  const tokenEncryption = env.PRODUCTIVE_API_TOKEN
+    ? 'none'
+    : config.tokenError ? 'unreadable' : await getTokenEncryptionState(env);
 
   const lastUpdatedDisplay = lastUpdated
     ? new Date(lastUpdated).toLocaleString('en-AU', { timeZone: 'Australia/Sydney' })
@@ -1969,6 +6169,34 @@ async function renderSearchPage(env) {
         <p class="hint">Leave empty to keep current PIN</p>
       </div>`;
   
+  // Viewer (read-only) PIN section
+  const viewerPinSection = env.VIEWER_PIN
+    ? `<div class="form-group">
+        <label>Viewer PIN</label>
+        <p class="hint" style="margin-top: 0;">Managed via environment variable. To update:</p>
+        <code class="cli-snippet">wrangler secret put VIEWER_PIN</code>
+      </div>`
+    : `<div class="form-group">
+        <label for="settingsViewerPin">${config.hasViewerPin ? 'Update Viewer PIN' : 'Set Viewer PIN'}</label>
+        <div class="modal-row">
+          <input type="password" id="settingsViewerPin" class="form-input" placeholder="4-8 digit read-only PIN" autocomplete="new-password">
+          <button class="btn btn-save" onclick="saveViewerPin()">Save</button>
+        </div>
+        ${config.hasViewerPin ? '<button class="btn btn-secondary btn-full" onclick="removeViewerPin()">Remove viewer PIN</button>' : ''}
+        <p class="hint">Teammates who log in with this PIN can search, filter and copy, but can't sync, pin tasks or change settings.</p>
+      </div>`;
+
+  // At-rest encryption status of a token stored via the Settings UI
+  const reencryptButton = '<button class="btn btn-secondary btn-full" onclick="reencryptToken()">Re-encrypt with current key</button>';
+  const tokenEncryptionHints = {
+    'encrypted': '<p class="hint">🔒 Encrypted at rest (AES-GCM).</p>',
+    'previous-key': `<p class="hint">⚠️ Encrypted with TOKEN_ENCRYPTION_KEY_PREVIOUS. Re-encrypt to finish rotating keys.</p>${reencryptButton}`,
+    'plaintext': `<p class="hint">⚠️ Stored unencrypted from before TOKEN_ENCRYPTION_KEY was set.</p>${reencryptButton}`,
+    'no-key': '<p class="hint">⚠️ Stored unencrypted. To encrypt it at rest:</p><code class="cli-snippet">wrangler secret put TOKEN_ENCRYPTION_KEY</code>',
+    'unreadable': `<p class="hint">⚠️ ${escapeHtml(config.tokenError || '')} Syncing is paused until you restore the key or enter the token again above.</p>`
+  };
+  const tokenEncryptionHint = tokenEncryptionHints[tokenEncryption] || '';
+
   // Generate token section content
   const tokenSection = tokenFromEnv
     ? `<div class="form-group">
@@ -1984,13 +6212,26 @@ async function renderSearchPage(env) {
           <button class="btn btn-save" onclick="saveToken()">Save</button>
         </div>
         <p class="hint">Get from Productive.io → Settings → API</p>
+        ${tokenEncryptionHint}
       </div>`;
   
   // Show logout section only if PIN protection is enabled
   const logoutSection = config.isProtected 
     ? `<div class="modal-section">
         <h3>Session</h3>
+        ${isAdmin ? `<div class="session-list" id="sessionList"></div>
+        <p class="hint">Sessions stay signed in while used at least once every 7 days.</p>` : '<p class="hint" style="margin-top: 0;">Signed in with the viewer PIN (read-only).</p>'}
         <a href="/logout" class="btn btn-danger btn-full">Logout</a>
+        ${isAdmin ? '<button class="btn btn-secondary btn-full" onclick="logoutEverywhere()">Log out everywhere</button>' : ''}
+      </div>`
+    : '';
+
+  // Login activity only exists when there is a PIN to log in with
+  const loginAuditSection = config.isProtected && isAdmin
+    ? `<div class="modal-section">
+        <h3>Login Activity</h3>
+        <p class="hint" id="loginAuditSummary" style="margin-top: 0;"></p>
+        <div class="login-audit-list" id="loginAuditList"></div>
       </div>`
     : '';
 
@@ -2002,7 +6243,12 @@ async function renderSearchPage(env) {
     .replace(/\{\{LAST_UPDATED\}\}/g, lastUpdatedDisplay)
     .replace(/\{\{PIN_SECTION\}\}/g, pinSection)
     .replace(/\{\{TOKEN_SECTION\}\}/g, tokenSection)
+    .replace(/\{\{VIEWER_PIN_SECTION\}\}/g, viewerPinSection)
+    .replace(/\{\{ROLE\}\}/g, auth.role)
+    .replace(/\{\{QUERY_ENGINE_VERSION\}\}/g, queryEngineVersion)
+    .replace(/\{\{LOGIN_AUDIT_SECTION\}\}/g, loginAuditSection)
     .replace(/\{\{LOGOUT_SECTION\}\}/g, logoutSection)
     .replace(/\{\{REMOTE_SEARCH_ENABLED\}\}/g, remoteSearchOn ? 'true' : 'false')
-    .replace(/\{\{REMOTE_SEARCH_CHECKED\}\}/g, remoteSearchOn ? 'checked' : '');
+    .replace(/\{\{REMOTE_SEARCH_CHECKED\}\}/g, remoteSearchOn ? 'checked' : '')
+    .replace(/\{\{DIGEST_SCHEDULE\}\}/g, digestSchedule.schedule);
 }
@@ -0,0 +1,310 @@
+// Search query language shared by /api/search and the dashboard search box
+//
+//   status:"In Progress" assignee:me -is:ghost (project:PRIM OR project:WEB) due:<2026-11-01 updated:>7d
+//
+// createQueryEngine() is fully self-contained (no imports, no outer references) because
+// the Worker also ships its source to the browser as /query.js — keep it that way.
+
+export function createQueryEngine() {
+  const DAY = 86400000;
+  const RESOLVED_STATUSES = ['done', 'complete', 'cancel', 'cancelled', 'closed', 'deleted', 'unknown'];
+  const TEXT_FIELDS = ['status', 'assignee', 'project', 'board', 'list', 'title', 'key'];
+  const DATE_FIELDS = ['due', 'updated', 'created'];
+  const FIELD_ALIASES = { tasklist: 'list', ticket: 'key', state: 'status', owner: 'assignee' };
+
+  function isResolved(status) {
+    const s = (status || '').toLowerCase();
+    return RESOLVED_STATUSES.some(k => s.includes(k));
+  }
+
+  // Anything beyond a plain phrase switches to the query language; plain text keeps the
+  // old "whole query is one substring" behaviour so existing searches don't change
+  function isStructured(query) {
+    return /(^|\s|\()-?[a-zA-Z]+:|"|(^|\s)-\S|[()]|\sOR\s/.test(query || '');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Tokenizer: ( ) OR, NOT (a '-' in front of '('), and terms like  -field:"quoted value"  /  word
+  // ---------------------------------------------------------------------------
+
+  function tokenize(query) {
+    const tokens = [];
+    let i = 0;
+    while (i < query.length) {
+      const ch = query[i];
+      if (/\s/.test(ch)) { i++; continue; }
+      if (ch === '(' || ch === ')') { tokens.push({ type: ch }); i++; continue; }
+      if (ch === '-' && query[i + 1] === '(') { tokens.push({ type: 'NOT' }); i++; continue; }
+
+      let negate = false;
+      if (ch === '-' && i + 1 < query.length && !/[\s()]/.test(query[i + 1])) {
+        negate = true;
+        i++;
+      }
+
+      let field = null;
+      const fieldMatch = /^([a-z]+):/i.exec(query.slice(i));
+      if (fieldMatch) {
+        const name = fieldMatch[1].toLowerCase();
+        const canonical = FIELD_ALIASES[name] || name;
+        if (TEXT_FIELDS.includes(canonical) || DATE_FIELDS.includes(canonical) || canonical === 'is') {
+          field = canonical;
+          i += fieldMatch[0].length;
+        }
+      }
+
+      let value = '';
+      let quoted = false;
+      if (query[i] === '"') {
+        const end = query.indexOf('"', i + 1);
+        value = query.slice(i + 1, end === -1 ? query.length : end);
+        i = end === -1 ? query.length : end + 1;
+        quoted = true;
+      } else {
+        const start = i;
+        // A comparator prefix (due:<=...) may be followed by a quoted value
+        while (i < query.length && /[<>=]/.test(query[i])) i++;
+        if (query[i] === '"') {
+          const end = query.indexOf('"', i + 1);
+          value = query.slice(start, i) + query.slice(i + 1, end === -1 ? query.length : end);
+          i = end === -1 ? query.length : end + 1;
+          quoted = true;
+        } else {
+          while (i < query.length && !/[\s()]/.test(query[i])) i++;
+          value = query.slice(start, i);
+        }
+      }
+
+      if (!field && !quoted && !negate && value === 'OR') {
+        tokens.push({ type: 'OR' });
+        continue;
+      }
+      if (!field && !quoted && value === '') continue;
+      tokens.push({ type: 'term', field, value, negate });
+    }
+    return tokens;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Parser: or := and ('OR' and)*   and := unary+   unary := '-'? ( '(' or ')' | term )
+  // Forgiving: unbalanced parentheses and dangling ORs are ignored, never an error.
+  // ---------------------------------------------------------------------------
+
+  function parse(query) {
+    const text = (query || '').trim();
+    if (!text) return null;
+    if (!isStructured(text)) return { type: 'text', value: text.toLowerCase() };
+
+    const tokens = tokenize(text);
+    let pos = 0;
+
+    function parseOr() {
+      const children = [parseAnd()];
+      while (pos < tokens.length && tokens[pos].type === 'OR') {
+        pos++;
+        children.push(parseAnd());
+      }
+      const nonEmpty = children.filter(Boolean);
+      if (nonEmpty.length === 0) return null;
+      return nonEmpty.length === 1 ? nonEmpty[0] : { type: 'or', children: nonEmpty };
+    }
+
+    function parseAnd() {
+      const children = [];
+      while (pos < tokens.length && tokens[pos].type !== 'OR' && tokens[pos].type !== ')') {
+        const node = parseUnary();
+        if (node) children.push(node);
+      }
+      if (children.length === 0) return null;
+      return children.length === 1 ? children[0] : { type: 'and', children };
+    }
+
+    function parseUnary() {
+      const token = tokens[pos++];
+      if (token.type === 'NOT') {
+        // Always followed by '(' from the tokenizer; an empty group negates nothing
+        const inner = pos < tokens.length && tokens[pos].type === '(' ? parseUnary() : null;
+        return inner ? { type: 'not', child: inner } : null;
+      }
+      if (token.type === '(') {
+        const inner = parseOr();
+        if (pos < tokens.length && tokens[pos].type === ')') pos++;
+        return inner;
+      }
+      return token.type === 'term' ? termNode(token) : null;
+    }
+
+    const parts = [];
+    while (pos < tokens.length) {
+      const node = parseOr();
+      if (node) parts.push(node);
+      // Skip a stray ')' and keep going
+      if (pos < tokens.length && tokens[pos].type === ')') pos++;
+    }
+    if (parts.length === 0) return null;
+    return parts.length === 1 ? parts[0] : { type: 'and', children: parts };
+  }
+
+  function termNode(token) {
+    let node;
+    if (!token.field) {
+      node = { type: 'text', value: token.value.toLowerCase() };
+    } else if (DATE_FIELDS.includes(token.field)) {
+      const m = /^(<=|>=|<|>|=)?(.*)$/.exec(token.value);
+      node = { type: 'date', field: token.field, op: m[1] || '', value: m[2].trim().toLowerCase() };
+    } else {
+      node = { type: 'field', field: token.field, value: token.value.trim().toLowerCase() };
+    }
+    return token.negate ? { type: 'not', child: node } : node;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Evaluation
+  // ---------------------------------------------------------------------------
+
+  // Day boundaries are midnight in the user's time zone, not the runtime's: tzOffset is the
+  // browser's Date#getTimezoneOffset() (minutes behind UTC), so UTC = local + tzOffset
+  function startOfDay(ms, tzOffset) {
+    const shift = tzOffset * 60000;
+    return Math.floor((ms - shift) / DAY) * DAY + shift;
+  }
+
+  function midnightOf(y, m, d, tzOffset) {
+    return Date.UTC(y, m - 1, d) + tzOffset * 60000;
+  }
+
+  // Due dates are calendar days (YYYY-MM-DD, the user's midnight); updated/created are timestamps
+  function taskTime(task, field, tzOffset) {
+    if (field === 'due') {
+      if (!task.dueDate) return null;
+      const [y, m, d] = String(task.dueDate).slice(0, 10).split('-').map(Number);
+      return midnightOf(y, m, d, tzOffset);
+    }
+    const raw = field === 'updated' ? task.updatedAt : task.createdAt;
+    const t = raw ? new Date(raw).getTime() : NaN;
+    return isNaN(t) ? null : t;
+  }
+
+  // Resolve a date value to a [start, end) range
+  //   2026-11-01 → that day;  today/tomorrow/yesterday → that day
+  //   7d / 2w / 3m → the instant N units from now (future for due, past for updated/created)
+  function resolveDate(field, value, now, tzOffset) {
+    const today = startOfDay(now, tzOffset);
+    if (value === 'today') return { start: today, end: today + DAY };
+    if (value === 'tomorrow') return { start: today + DAY, end: today + 2 * DAY };
+    if (value === 'yesterday') return { start: today - DAY, end: today };
+
+    const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (iso) {
+      const start = midnightOf(+iso[1], +iso[2], +iso[3], tzOffset);
+      return { start, end: start + DAY };
+    }
+
+    const rel = /^(\d+)([hdwm])$/.exec(value);
+    if (rel) {
+      const unit = { h: DAY / 24, d: DAY, w: 7 * DAY, m: 30 * DAY }[rel[2]];
+      const offset = +rel[1] * unit;
+      const at = field === 'due' ? now + offset : now - offset;
+      return { start: at, end: at, relative: true };
+    }
+    return null;
+  }
+
+  function matchDate(node, task, ctx) {
+    const t = taskTime(task, node.field, ctx.tzOffset);
+
+    if (node.field === 'due') {
+      if (node.value === 'none') return t === null;
+      if (node.value === 'any') return t !== null;
+      if (node.value === 'overdue') return t !== null && t < startOfDay(ctx.now, ctx.tzOffset) && !isResolved(task.status);
+    }
+    if (t === null) return false;
+
+    const range = resolveDate(node.field, node.value, ctx.now, ctx.tzOffset);
+    if (!range) return false;
+
+    switch (node.op) {
+      case '<': return t < range.start;
+      case '<=': return range.relative ? t <= range.end : t < range.end;
+      case '>': return range.relative ? t > range.start : t >= range.end;
+      case '>=': return t >= range.start;
+      default:
+        if (!range.relative) return t >= range.start && t < range.end;
+        // Bare relative: "within the next N" for due, "within the last N" otherwise
+        return node.field === 'due'
+          ? t >= startOfDay(ctx.now, ctx.tzOffset) && t <= range.end
+          : t >= range.start;
+    }
+  }
+
+  function matchField(node, task, ctx) {
+    const v = node.value;
+    const has = (s) => (s || '').toLowerCase().includes(v);
+    switch (node.field) {
+      case 'status': return has(task.status);
+      case 'title': return has(task.title);
+      case 'board': return v === '' ? !task.boardName : has(task.boardName);
+      case 'list': return v === '' ? !task.taskListName : has(task.taskListName);
+      case 'key': return (task.ticketKey || '').toLowerCase() === v || String(task.ticketNumber) === v.replace(/^#/, '');
+      case 'project':
+        return (task.projectPrefix || '').toLowerCase() === v || has(task.project);
+      case 'assignee':
+        if (v === 'me') return !!ctx.personId && String(task.assigneeId) === String(ctx.personId);
+        if (v === 'none' || v === 'unassigned' || v === '') return !task.assigneeId;
+        return has(task.assignee);
+      case 'is':
+        switch (v) {
+          case 'new': return !!ctx.changedIds && ctx.changedIds.has(String(task.id));
+          case 'ghost': return !!task._manual;
+          case 'deleted': return !!task._deleted;
+          case 'resolved': case 'done': return isResolved(task.status);
+          case 'open': return !isResolved(task.status);
+          case 'overdue': return matchDate({ field: 'due', value: 'overdue' }, task, ctx);
+          case 'mine': return matchField({ field: 'assignee', value: 'me' }, task, ctx);
+          case 'unassigned': return !task.assigneeId;
+          case 'sub': case 'subtask': return !!task.parent;
+          default: return false;
+        }
+      default:
+        return false;
+    }
+  }
+
+  function matchText(value, task) {
+    const searchText = (task.ticketKey + ' ' + task.title + ' ' + task.status + ' ' + task.assignee + ' ' +
+      task.project + ' ' + (task.taskListName || '') + ' ' + (task.boardName || '')).toLowerCase();
+    return searchText.includes(value) || ('#' + task.ticketNumber) === value || String(task.ticketNumber) === value;
+  }
+
+  function evaluate(node, task, ctx) {
+    switch (node.type) {
+      case 'and': return node.children.every(c => evaluate(c, task, ctx));
+      case 'or': return node.children.some(c => evaluate(c, task, ctx));
+      case 'not': return !evaluate(node.child, task, ctx);
+      case 'text': return matchText(node.value, task);
+      case 'date': return matchDate(node, task, ctx);
+      case 'field': return matchField(node, task, ctx);
+      default: return true;
+    }
+  }
+
+  // ctx: { personId, changedIds (Set of string IDs), now (ms, defaults to Date.now()),
+  //        tzOffset (minutes behind UTC as in Date#getTimezoneOffset(), defaults to 0 = UTC) }
+  function withDefaults(ctx) {
+    return { now: Date.now(), ...ctx, tzOffset: Number(ctx && ctx.tzOffset) || 0 };
+  }
+
+  function matches(ast, task, ctx) {
+    if (!ast) return true;
+    return evaluate(ast, task, withDefaults(ctx));
+  }
+
+  function filter(tasks, query, ctx) {
+    const ast = typeof query === 'string' ? parse(query) : query;
+    if (!ast) return tasks;
+    const fullCtx = withDefaults(ctx);
+    return tasks.filter(task => evaluate(ast, task, fullCtx));
+  }
+
+  return { parse, isStructured, matches, filter, isResolved };
+}
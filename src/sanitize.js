@@ -0,0 +1,123 @@
+// Allowlist HTML sanitiser for Productive.io rich text (task descriptions, comments)
+//
+// Productive returns user-authored HTML; the detail drawer renders it with innerHTML, so
+// everything not on the allowlist is dropped here on the server: unknown tags are unwrapped
+// (their text kept), script-like elements are removed with their content, and only a few
+// attributes survive, with link/image URLs limited to safe schemes.
+
+const ALLOWED_TAGS = new Set([
+  'p', 'br', 'hr', 'div', 'span', 'b', 'strong', 'i', 'em', 'u', 's', 'strike', 'del', 'sub', 'sup',
+  'ul', 'ol', 'li', 'blockquote', 'pre', 'code', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'a', 'img', 'table', 'thead', 'tbody', 'tr', 'th', 'td'
+]);
+const VOID_TAGS = new Set(['br', 'hr', 'img']);
+
+// Removed together with everything inside them
+const DROP_CONTENT_TAGS = new Set([
+  'script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'textarea', 'title', 'svg', 'math'
+]);
+
+const ALLOWED_ATTRIBUTES = {
+  a: ['href', 'title'],
+  img: ['src', 'alt', 'title', 'width', 'height'],
+  th: ['colspan', 'rowspan'],
+  td: ['colspan', 'rowspan'],
+  ol: ['start']
+};
+const URL_ATTRIBUTES = new Set(['href', 'src']);
+
+function escapeText(text) {
+  // Keep well-formed entities as they are; escape everything that could start markup
+  return text
+    .replace(/&(?!(?:[a-zA-Z][a-zA-Z0-9]{1,31}|#\d{1,7}|#x[0-9a-fA-F]{1,6});)/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(value) {
+  return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function decodeEntities(value) {
+  return value
+    .replace(/&#x([0-9a-f]+);?/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16) || 0xfffd))
+    .replace(/&#(\d+);?/g, (_, dec) => String.fromCodePoint(Math.min(parseInt(dec, 10), 0x10ffff) || 0xfffd))
+    .replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+// http(s), mailto and relative URLs only; images must be http(s)
+function safeUrl(value, attribute) {
+  const url = decodeEntities(value).replace(/[\u0000- \u007f]/g, '');
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(url);
+  if (!scheme) return attribute === 'src' ? null : url;
+  const name = scheme[1].toLowerCase();
+  if (name === 'http' || name === 'https') return url;
+  if (name === 'mailto' && attribute === 'href') return url;
+  return null;
+}
+
+function sanitizeAttributes(tag, raw) {
+  const allowed = ALLOWED_ATTRIBUTES[tag];
+  if (!allowed) return '';
+  const out = [];
+  const re = /([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  let m;
+  while ((m = re.exec(raw))) {
+    const name = m[1].toLowerCase();
+    if (!allowed.includes(name)) continue;
+    let value = decodeEntities(m[2] ?? m[3] ?? m[4] ?? '');
+    if (URL_ATTRIBUTES.has(name)) {
+      value = safeUrl(value, name);
+      if (value === null) continue;
+    } else if (name !== 'title' && name !== 'alt' && !/^\d{1,4}%?$/.test(value)) {
+      continue; // numeric attributes only
+    }
+    out.push(` ${name}="${escapeAttribute(value)}"`);
+  }
+  if (tag === 'a') out.push(' target="_blank" rel="noopener noreferrer nofollow"');
+  return out.join('');
+}
+
+export function sanitizeHtml(html) {
+  const input = String(html || '');
+  const tagRe = /<!--[\s\S]*?(?:-->|$)|<!\[CDATA\[[\s\S]*?(?:\]\]>|$)|<![^>]*>|<\?[^>]*>|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+  const open = [];
+  let out = '';
+  let pos = 0;
+  let dropping = null; // tag whose content is being skipped
+  let m;
+
+  while ((m = tagRe.exec(input))) {
+    if (!dropping) out += escapeText(input.slice(pos, m.index));
+    pos = tagRe.lastIndex;
+    if (!m[2]) continue; // comment, doctype, CDATA, processing instruction
+
+    const closing = m[1] === '/';
+    const tag = m[2].toLowerCase();
+
+    if (dropping) {
+      if (closing && tag === dropping) dropping = null;
+      continue;
+    }
+    if (DROP_CONTENT_TAGS.has(tag)) {
+      if (!closing && !/\/\s*$/.test(m[3])) dropping = tag;
+      continue;
+    }
+    if (!ALLOWED_TAGS.has(tag)) continue;
+
+    if (VOID_TAGS.has(tag)) {
+      if (!closing) out += `<${tag}${sanitizeAttributes(tag, m[3])}>`;
+    } else if (!closing) {
+      out += `<${tag}${sanitizeAttributes(tag, m[3])}>`;
+      open.push(tag);
+    } else {
+      // Close back to the matching open tag; ignore stray closers
+      const at = open.lastIndexOf(tag);
+      if (at === -1) continue;
+      while (open.length > at) out += `</${open.pop()}>`;
+    }
+  }
+  if (!dropping) out += escapeText(input.slice(pos));
+  while (open.length) out += `</${open.pop()}>`;
+  return out;
+}
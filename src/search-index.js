@@ -0,0 +1,274 @@
+// Relevance-ranked text search over a prebuilt token index
+//
+// The index is a forward map of task ID → { stamp, tokens: { token: fieldMask } }, split like
+// the task store into SEARCH_INDEX_SHARD_COUNT shards (`search_index_<n>`, chosen by task ID).
+// Full/delta syncs reconcile it with the stored tasks, and single-task writes patch only their
+// own shard, so concurrent writers don't overwrite each other's entries. `stamp` is a hash of
+// the indexed fields: reconciling re-indexes any task whose fields no longer match it. Searches
+// only read it; postings are inverted in memory when searched. Matching is per token: exact, prefix, or within a small
+// edit distance (typos), weighted by the field the token came from.
+
+export const SEARCH_INDEX_KEY = 'search_index'; // the old single-value index; dropped on rebuild
+export const SEARCH_INDEX_SHARD_COUNT = 32;
+const SEARCH_INDEX_VERSION = 2;
+
+// bit: field mask in the index; weight: how much a match in this field counts
+const FIELDS = {
+  ticketKey: { bit: 1, weight: 10 },
+  title: { bit: 2, weight: 5 },
+  project: { bit: 4, weight: 3 },
+  boardName: { bit: 8, weight: 2 },
+  taskListName: { bit: 16, weight: 2 },
+  assignee: { bit: 32, weight: 2 },
+  status: { bit: 64, weight: 1 }
+};
+const FIELD_NAMES = Object.keys(FIELDS);
+
+// Match quality multipliers
+const EXACT = 1;
+const PREFIX = 0.75;
+const FUZZY = [1, 0.5, 0.3]; // by edit distance
+
+// Letters and digits in any script; positions are kept for highlighting
+function tokenizeWithPositions(text) {
+  const tokens = [];
+  for (const m of String(text || '').matchAll(/[\p{L}\p{N}]+/gu)) {
+    tokens.push({ token: m[0].toLowerCase(), start: m.index, end: m.index + m[0].length });
+  }
+  return tokens;
+}
+
+function tokenize(text) {
+  return tokenizeWithPositions(text).map(t => t.token);
+}
+
+function indexDoc(task) {
+  const doc = {};
+  for (const name of FIELD_NAMES) {
+    for (const token of tokenize(task[name])) {
+      doc[token] = (doc[token] || 0) | FIELDS[name].bit;
+    }
+  }
+  return doc;
+}
+
+// FNV-1a over the indexed fields: changes whenever anything searchable does
+function docStamp(task) {
+  let hash = 0x811c9dc5;
+  const text = FIELD_NAMES.map(name => String(task[name] ?? '')).join('\u0001');
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+function indexEntry(task) {
+  return { stamp: docStamp(task), tokens: indexDoc(task) };
+}
+
+// Same split as the KV task shards
+export function searchIndexShardOf(taskId) {
+  const numeric = Number(taskId);
+  if (Number.isInteger(numeric)) return Math.abs(numeric) % SEARCH_INDEX_SHARD_COUNT;
+  let hash = 0;
+  for (const ch of String(taskId)) hash = (hash * 31 + ch.charCodeAt(0)) | 0;
+  return Math.abs(hash) % SEARCH_INDEX_SHARD_COUNT;
+}
+
+export function searchIndexShardKey(n) {
+  return `search_index_${n}`;
+}
+
+// `revision` keys the postings cache; timestamps alone can repeat within a millisecond
+function touch(shard) {
+  shard.updatedAt = new Date().toISOString();
+  shard.revision = crypto.randomUUID();
+  return shard;
+}
+
+export function createSearchIndexShard() {
+  return touch({ version: SEARCH_INDEX_VERSION, docs: {} });
+}
+
+// All SEARCH_INDEX_SHARD_COUNT shards for a full task list
+export function buildSearchIndexShards(tasks) {
+  const shards = Array.from({ length: SEARCH_INDEX_SHARD_COUNT }, createSearchIndexShard);
+  for (const task of tasks) {
+    shards[searchIndexShardOf(task.id)].docs[String(task.id)] = indexEntry(task);
+  }
+  return shards;
+}
+
+// Incremental maintenance for single-task writes (all in this shard); returns the same (mutated) shard
+export function updateSearchIndexShard(shard, upserts = [], removedIds = []) {
+  for (const id of removedIds) delete shard.docs[String(id)];
+  for (const task of upserts) shard.docs[String(task.id)] = indexEntry(task);
+  return touch(shard);
+}
+
+export function isSearchIndexShardCurrent(shard) {
+  return !!shard && shard.version === SEARCH_INDEX_VERSION && !!shard.docs;
+}
+
+// Bring a shard in line with its stored tasks: tasks added, removed or edited by a path that
+// didn't patch it (or whose patch lost a race) are re-indexed. Returns true when anything changed.
+export function reconcileSearchIndexShard(shard, tasks) {
+  let changed = false;
+  const ids = new Set();
+  for (const task of tasks) {
+    const id = String(task.id);
+    ids.add(id);
+    if (shard.docs[id]?.stamp !== docStamp(task)) {
+      shard.docs[id] = indexEntry(task);
+      changed = true;
+    }
+  }
+  for (const id of Object.keys(shard.docs)) {
+    if (!ids.has(id)) {
+      delete shard.docs[id];
+      changed = true;
+    }
+  }
+  if (changed) touch(shard);
+  return changed;
+}
+
+// The shards as one searchable index
+export function combineSearchIndexShards(shards) {
+  return { revision: shards.map(s => s.revision).join('|'), shards };
+}
+
+// Inverting the forward index is cheap but not free; reuse it while the isolate lives
+let postingsCache = { revision: null, postings: null };
+
+function getPostings(index) {
+  if (postingsCache.revision === index.revision && postingsCache.postings) {
+    return postingsCache.postings;
+  }
+  const postings = new Map();
+  for (const shard of index.shards) {
+    for (const [id, entry] of Object.entries(shard.docs)) {
+      for (const [token, mask] of Object.entries(entry.tokens)) {
+        let list = postings.get(token);
+        if (!list) postings.set(token, list = []);
+        list.push([id, mask]);
+      }
+    }
+  }
+  postingsCache = { revision: index.revision, postings };
+  return postings;
+}
+
+// Levenshtein distance, giving up (returns max + 1) once it must exceed `max`
+function boundedEditDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = Math.min(
+        prev[j] + 1,
+        curr[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, curr[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+// How well an indexed token matches a query token: { quality, length } or null.
+// `length` is how many leading characters to highlight (prefix matches cover the typed part).
+function matchToken(queryToken, token) {
+  if (token === queryToken) return { quality: EXACT, length: token.length };
+  if (token.startsWith(queryToken)) return { quality: PREFIX, length: queryToken.length };
+  // No typo tolerance for numbers or very short words — too many false hits
+  if (/^\d+$/.test(queryToken) || queryToken.length < 4) return null;
+  const maxEdits = queryToken.length >= 8 ? 2 : 1;
+  const distance = boundedEditDistance(queryToken, token, maxEdits);
+  return distance <= maxEdits ? { quality: FUZZY[distance], length: token.length } : null;
+}
+
+function fieldWeight(mask) {
+  let best = 0;
+  for (const name of FIELD_NAMES) {
+    if (mask & FIELDS[name].bit) best = Math.max(best, FIELDS[name].weight);
+  }
+  return best;
+}
+
+// Character spans [start, end) in each field that matched one of the query tokens
+function highlightTask(task, queryTokens) {
+  const highlights = {};
+  for (const name of FIELD_NAMES) {
+    const spans = [];
+    for (const { token, start } of tokenizeWithPositions(task[name])) {
+      let best = null;
+      for (const qt of queryTokens) {
+        const m = matchToken(qt, token);
+        if (m && (!best || m.length > best.length)) best = m;
+      }
+      if (best) spans.push([start, start + best.length]);
+    }
+    if (spans.length > 0) highlights[name] = spans;
+  }
+  return highlights;
+}
+
+// Ranks tasks for a free-text query. Every query token must match somewhere in the task;
+// each contributes its best field-weighted match, with a bonus when the whole query appears
+// verbatim in the title. Ties go to the most recently updated task.
+export function searchWithIndex(index, tasks, query) {
+  const queryTokens = [...new Set(tokenize(query))];
+  if (queryTokens.length === 0) return [];
+  const postings = getPostings(index);
+
+  // Per query token: best score per task ID
+  const perToken = queryTokens.map(qt => {
+    const scores = new Map();
+    for (const [token, list] of postings) {
+      const m = matchToken(qt, token);
+      if (!m) continue;
+      for (const [id, mask] of list) {
+        const score = m.quality * fieldWeight(mask);
+        if (score > (scores.get(id) || 0)) scores.set(id, score);
+      }
+    }
+    return scores;
+  });
+
+  const phrase = query.trim().toLowerCase();
+  const byId = new Map(tasks.map(t => [String(t.id), t]));
+  const results = [];
+  for (const [id, firstScore] of perToken[0]) {
+    const task = byId.get(id);
+    if (!task) continue;
+    let score = firstScore;
+    let matchedAll = true;
+    for (let i = 1; i < perToken.length; i++) {
+      const s = perToken[i].get(id);
+      if (!s) { matchedAll = false; break; }
+      score += s;
+    }
+    if (!matchedAll) continue;
+    if (queryTokens.length > 1 && (task.title || '').toLowerCase().includes(phrase)) {
+      score += FIELDS.title.weight;
+    }
+    results.push({ task, score });
+  }
+
+  results.sort((a, b) =>
+    b.score - a.score ||
+    String(b.task.updatedAt || '').localeCompare(String(a.task.updatedAt || '')) ||
+    b.task.id - a.task.id
+  );
+
+  return results.map(({ task, score }) => ({
+    ...task,
+    score: Math.round(score * 100) / 100,
+    highlights: highlightTask(task, queryTokens)
+  }));
+}
@@ -0,0 +1,44 @@
+// Service worker for the installed dashboard, served as /sw.js
+//
+// It only handles Web Push: it shows the notification the Worker sent, and a click focuses an
+// open dashboard tab (or opens one) at the message's URL. Like the query engine, the function
+// is serialized into the script, so it must not reference anything outside itself.
+
+export function serviceWorker() {
+  self.addEventListener('install', () => self.skipWaiting());
+  self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+  self.addEventListener('push', (event) => {
+    let message = {};
+    try {
+      message = event.data ? event.data.json() : {};
+    } catch (e) {
+      message = { body: event.data.text() };
+    }
+    event.waitUntil(self.registration.showNotification(message.title || 'Task update', {
+      body: message.body || '',
+      tag: message.tag,
+      icon: '/android-chrome-192x192.png',
+      badge: '/favicon-32x32.png',
+      data: { url: message.url || '/' }
+    }));
+  });
+
+  self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+    event.waitUntil((async () => {
+      const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+      const open = windows.find(w => new URL(w.url).origin === self.location.origin);
+      if (open) {
+        try {
+          await open.focus();
+          return await open.navigate(url);
+        } catch (e) {
+          // Not controlled by this worker yet; fall through to a new window
+        }
+      }
+      return self.clients.openWindow(url);
+    })());
+  });
+}
@@ -0,0 +1,579 @@
+// Storage backends for Better Productive
+// Every read/write in the Worker goes through getStorage(env), which returns one of:
+//   - KV (default): the TASKS_KV namespace, tasks sharded by ID
+//   - D1 (STORAGE_BACKEND = "d1"): the TASKS_DB SQLite database, tasks as rows
+//
+// Interface (both backends):
+//   get(key) / put(key, value, { ttl }) / delete(key)   - string values; ttl in seconds
+//   list({ prefix, limit })                              - [{ key, value }] for keys with the prefix, in key order
+//   cleanup()                                            - purge expired keys (no-op on KV, which expires natively)
+//   tasks.all()                                          - all tasks newest first, or null if never synced
+//   tasks.get(id) / tasks.put(task) / tasks.remove(id)   - single-task operations
+//   tasks.replaceAll(tasks)                              - full/delta sync write
+//   tasks.count()
+//   tasks.query({ projectId, ticketNumber })             - exact key/number lookup (all tasks without one)
+//   history.append(entry) / history.list({ since, limit }) - sync history (newest first);
+//                                                            append returns the entry with its id
+//
+// Both backends keep the `task_count` key (tasks not marked `_deleted`) current on task writes.
+
+const storageByEnv = new WeakMap();
+
+export function getStorage(env) {
+  let store = storageByEnv.get(env);
+  if (!store) {
+    store = createStorage(env);
+    storageByEnv.set(env, store);
+  }
+  return store;
+}
+
+function createStorage(env) {
+  const backend = (env.STORAGE_BACKEND || 'kv').toLowerCase();
+
+  if (backend === 'd1') {
+    if (!env.TASKS_DB) {
+      throw new Error('STORAGE_BACKEND is "d1" but no TASKS_DB binding is configured');
+    }
+    return createD1Storage(env.TASKS_DB, env.TASKS_KV || null);
+  }
+
+  if (!env.TASKS_KV) {
+    throw new Error('No TASKS_KV binding is configured');
+  }
+  return createKVStorage(env.TASKS_KV);
+}
+
+// Keep sync history bounded (KV stores it as a single JSON array)
+const HISTORY_LIMIT = 500;
+
+// KV bulk reads take at most this many keys per call
+const KV_BULK_GET_SIZE = 100;
+
+function byIdDesc(a, b) {
+  return b.id - a.id;
+}
+
+// =============================================================================
+// KV Backend - Sharded task records + lightweight index
+// =============================================================================
+// Tasks live in TASK_SHARD_COUNT shards (`tasks_shard_<n>`, chosen by task ID) instead of
+// one `all_tasks` blob, so single-task writes only rewrite their own shard and stay well
+// under the KV value size limit. `tasks_index` only records the shard count and is written by
+// full rewrites, so concurrent single-task writers never race on it. Each shard's live task
+// count sits next to it (`tasks_count_<n>`), and `task_count` is re-summed from those.
+
+const TASK_SHARD_COUNT = 32;
+const TASK_INDEX_KEY = 'tasks_index';
+
+function taskShardKey(n) {
+  return `tasks_shard_${n}`;
+}
+
+function taskCountKey(n) {
+  return `tasks_count_${n}`;
+}
+
+function liveTaskCount(tasks) {
+  return tasks.filter(t => !t._deleted).length;
+}
+
+function taskShardOf(taskId, shardCount) {
+  const numeric = Number(taskId);
+  if (Number.isInteger(numeric)) return Math.abs(numeric) % shardCount;
+  // Non-numeric IDs (shouldn't happen with Productive) fall back to a string hash
+  let hash = 0;
+  for (const ch of String(taskId)) hash = (hash * 31 + ch.charCodeAt(0)) | 0;
+  return Math.abs(hash) % shardCount;
+}
+
+function createKVStorage(kv) {
+  // Load the task index, migrating a legacy `all_tasks` blob on first access.
+  // Returns null when the database has never been synced.
+  async function loadTaskIndex() {
+    const indexJson = await kv.get(TASK_INDEX_KEY);
+    if (indexJson) return JSON.parse(indexJson);
+
+    const legacyJson = await kv.get('all_tasks');
+    if (!legacyJson) return null;
+
+    // One-time migration: write shards + index, then drop the blob
+    console.log('Migrating all_tasks blob to sharded task storage...');
+    const index = await replaceAll(JSON.parse(legacyJson));
+    await kv.delete('all_tasks');
+    return index;
+  }
+
+  async function loadShard(n) {
+    const json = await kv.get(taskShardKey(n));
+    return json ? JSON.parse(json) : [];
+  }
+
+  function shardNumbers(index) {
+    return Array.from({ length: index.shardCount }, (_, n) => n);
+  }
+
+  // Writes one shard and its live count; an empty shard is deleted
+  async function writeShard(n, shard) {
+    if (shard.length === 0) {
+      await kv.delete(taskShardKey(n));
+      await kv.put(taskCountKey(n), '0');
+      return;
+    }
+    await kv.put(taskShardKey(n), JSON.stringify(shard));
+    await kv.put(taskCountKey(n), String(liveTaskCount(shard)));
+  }
+
+  // Sum of the per-shard counts (shards from before they were kept are counted directly)
+  async function countLive(index) {
+    const counts = await Promise.all(shardNumbers(index).map(async n => {
+      const stored = await kv.get(taskCountKey(n));
+      return stored !== null ? Number(stored) : liveTaskCount(await loadShard(n));
+    }));
+    return counts.reduce((sum, c) => sum + c, 0);
+  }
+
+  async function refreshTaskCount(index) {
+    await kv.put('task_count', String(await countLive(index)));
+  }
+
+  async function all() {
+    const index = await loadTaskIndex();
+    if (!index) return null;
+
+    const shards = await Promise.all(shardNumbers(index).map(n => loadShard(n)));
+    return shards.flat().sort(byIdDesc);
+  }
+
+  // Only shards whose contents changed are rewritten
+  async function replaceAll(tasks) {
+    const shardCount = TASK_SHARD_COUNT;
+    const buckets = Array.from({ length: shardCount }, () => []);
+    for (const task of tasks) {
+      buckets[taskShardOf(task.id, shardCount)].push(task);
+    }
+
+    const [previousJson, previousCounts] = await Promise.all([
+      Promise.all(buckets.map((_, n) => kv.get(taskShardKey(n)))),
+      Promise.all(buckets.map((_, n) => kv.get(taskCountKey(n))))
+    ]);
+    const index = { version: 2, shardCount, updatedAt: new Date().toISOString() };
+
+    await Promise.all(buckets.map(async (bucket, n) => {
+      const json = bucket.length > 0 ? JSON.stringify(bucket.sort(byIdDesc)) : null;
+      if (json !== previousJson[n]) {
+        if (json === null) await kv.delete(taskShardKey(n));
+        else await kv.put(taskShardKey(n), json);
+      }
+      const live = String(liveTaskCount(bucket));
+      if (live !== previousCounts[n]) await kv.put(taskCountKey(n), live);
+    }));
+
+    await kv.put(TASK_INDEX_KEY, JSON.stringify(index));
+    await kv.put('task_count', String(liveTaskCount(tasks)));
+    return index;
+  }
+
+  async function get(taskId) {
+    const index = await loadTaskIndex();
+    if (!index) return null;
+    const shard = await loadShard(taskShardOf(taskId, index.shardCount));
+    return shard.find(t => String(t.id) === String(taskId)) || null;
+  }
+
+  // Only touches the task's own shard (and the summed `task_count`), never `tasks_index`
+  // unless this is the very first task
+  async function put(task) {
+    let index = await loadTaskIndex();
+    if (!index) {
+      index = { version: 2, shardCount: TASK_SHARD_COUNT, updatedAt: new Date().toISOString() };
+      await kv.put(TASK_INDEX_KEY, JSON.stringify(index));
+    }
+    const n = taskShardOf(task.id, index.shardCount);
+    const shard = await loadShard(n);
+    const idx = shard.findIndex(t => String(t.id) === String(task.id));
+    const wasLive = idx !== -1 && !shard[idx]._deleted;
+
+    if (idx !== -1) {
+      shard[idx] = task;
+    } else {
+      shard.push(task);
+      shard.sort(byIdDesc);
+    }
+    await writeShard(n, shard);
+    if (wasLive !== !task._deleted) await refreshTaskCount(index);
+    return idx === -1;
+  }
+
+  async function remove(taskId) {
+    const index = await loadTaskIndex();
+    if (!index) return null;
+    const n = taskShardOf(taskId, index.shardCount);
+    const shard = await loadShard(n);
+    const idx = shard.findIndex(t => String(t.id) === String(taskId));
+    if (idx === -1) return null;
+
+    const [removed] = shard.splice(idx, 1);
+    await writeShard(n, shard);
+    if (!removed._deleted) await refreshTaskCount(index);
+    return removed;
+  }
+
+  // Tasks not marked `_deleted`
+  async function count() {
+    const index = await loadTaskIndex();
+    return index ? countLive(index) : 0;
+  }
+
+  async function query({ projectId, ticketNumber } = {}) {
+    const tasks = await all() || [];
+    if (ticketNumber === undefined) return tasks;
+    return tasks.filter(t =>
+      (projectId === undefined || t.projectId === projectId) &&
+      String(t.ticketNumber) === String(ticketNumber)
+    );
+  }
+
+  async function appendHistory(entry) {
+    const json = await kv.get('sync_history');
+    const history = json ? JSON.parse(json) : [];
+    const id = history.length > 0 ? history[0].id + 1 : 1;
+    history.unshift({ id, ...entry });
+    await kv.put('sync_history', JSON.stringify(history.slice(0, HISTORY_LIMIT)));
+    return history[0];
+  }
+
+  async function listHistory({ since, limit = 50 } = {}) {
+    const json = await kv.get('sync_history');
+    const history = json ? JSON.parse(json) : [];
+    return history
+      .filter(e => !since || e.syncedAt >= since)
+      .slice(0, limit);
+  }
+
+  // One page of keys, then their values in bulk; a key that expired in between is skipped
+  async function list({ prefix, limit = 100 }) {
+    const page = await kv.list({ prefix, limit });
+    const names = page.keys.map(key => key.name);
+    const entries = [];
+    for (let i = 0; i < names.length; i += KV_BULK_GET_SIZE) {
+      const chunk = names.slice(i, i + KV_BULK_GET_SIZE);
+      const values = await kv.get(chunk);
+      for (const key of chunk) {
+        const value = values.get(key);
+        if (value !== null && value !== undefined) entries.push({ key, value });
+      }
+    }
+    return entries;
+  }
+
+  return {
+    backend: 'kv',
+    get: (key) => kv.get(key),
+    put: (key, value, options = {}) => kv.put(key, value, options.ttl ? { expirationTtl: options.ttl } : undefined),
+    delete: (key) => kv.delete(key),
+    list,
+    cleanup: async () => {},
+    tasks: { all, get, put, remove, replaceAll, count, query },
+    history: { append: appendHistory, list: listHistory }
+  };
+}
+
+// =============================================================================
+// D1 Backend - SQLite tables for config, tasks and sync history
+// =============================================================================
+// Schema is created on first use. If a TASKS_KV binding is still present and the D1
+// database is empty, existing KV data (config, sessions, tasks) is copied over once.
+
+const D1_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS kv (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    expires_at INTEGER
+  )`,
+  `CREATE TABLE IF NOT EXISTS tasks (
+    id TEXT PRIMARY KEY,
+    project_id TEXT,
+    ticket_number INTEGER,
+    ticket_key TEXT,
+    title TEXT,
+    status TEXT,
+    assignee_id TEXT,
+    assignee TEXT,
+    project TEXT,
+    due_date TEXT,
+    updated_at TEXT,
+    deleted INTEGER NOT NULL DEFAULT 0,
+    manual INTEGER NOT NULL DEFAULT 0,
+    data TEXT NOT NULL
+  )`,
+  'CREATE INDEX IF NOT EXISTS tasks_project_number ON tasks (project_id, ticket_number)',
+  'CREATE INDEX IF NOT EXISTS tasks_ticket_number ON tasks (ticket_number)',
+  `CREATE TABLE IF NOT EXISTS sync_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    synced_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  )`,
+  'CREATE INDEX IF NOT EXISTS sync_history_synced_at ON sync_history (synced_at)'
+];
+
+// D1 caps statements per batch; chunk large writes
+const D1_BATCH_SIZE = 100;
+
+// The KV import writes D1_IMPORT_STARTED with its first batch and D1_IMPORT_MARKER once every
+// batch has committed. In between, each new isolate runs the import itself before serving
+// anything (it never overwrites rows, so running it twice is harmless).
+const D1_IMPORT_STARTED = 'd1_import_started';
+const D1_IMPORT_MARKER = 'd1_imported_from_kv';
+
+const schemaReady = new WeakMap();
+
+function taskRowValues(task) {
+  return [
+    String(task.id),
+    task.projectId || null,
+    task.ticketNumber !== undefined && task.ticketNumber !== null ? Number(task.ticketNumber) : null,
+    task.ticketKey || null,
+    task.title || null,
+    task.status || null,
+    task.assigneeId || null,
+    task.assignee || null,
+    task.project || null,
+    task.dueDate || null,
+    task.updatedAt || null,
+    task._deleted ? 1 : 0,
+    task._manual ? 1 : 0,
+    JSON.stringify(task)
+  ];
+}
+
+const UPSERT_TASK_SQL = `INSERT INTO tasks
+  (id, project_id, ticket_number, ticket_key, title, status, assignee_id, assignee, project, due_date, updated_at, deleted, manual, data)
+  VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?9, ?10, ?11, ?12, ?13, ?14)
+  ON CONFLICT(id) DO UPDATE SET
+    project_id = excluded.project_id, ticket_number = excluded.ticket_number, ticket_key = excluded.ticket_key,
+    title = excluded.title, status = excluded.status, assignee_id = excluded.assignee_id, assignee = excluded.assignee,
+    project = excluded.project, due_date = excluded.due_date, updated_at = excluded.updated_at,
+    deleted = excluded.deleted, manual = excluded.manual, data = excluded.data`;
+
+const INSERT_TASK_IF_MISSING_SQL = `INSERT OR IGNORE INTO tasks
+  (id, project_id, ticket_number, ticket_key, title, status, assignee_id, assignee, project, due_date, updated_at, deleted, manual, data)
+  VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?9, ?10, ?11, ?12, ?13, ?14)`;
+
+function createD1Storage(db, legacyKV) {
+  async function runBatches(statements) {
+    for (let i = 0; i < statements.length; i += D1_BATCH_SIZE) {
+      await db.batch(statements.slice(i, i + D1_BATCH_SIZE));
+    }
+  }
+
+  function ready() {
+    let promise = schemaReady.get(db);
+    if (!promise) {
+      promise = (async () => {
+        await db.batch(D1_SCHEMA.map(sql => db.prepare(sql)));
+        if (legacyKV) await importFromKV();
+      })();
+      // Retry on the next request if schema creation failed
+      promise.catch(() => schemaReady.delete(db));
+      schemaReady.set(db, promise);
+    }
+    return promise;
+  }
+
+  // One-time copy of an existing KV deployment into D1. Every statement is an INSERT OR
+  // IGNORE (history rows keep their KV position as ID), so concurrent or interrupted imports
+  // can repeat it without duplicating history or overwriting rows written since.
+  async function importFromKV() {
+    const [existing, { results }] = await Promise.all([
+      db.prepare('SELECT COUNT(*) AS n FROM kv').first(),
+      db.prepare('SELECT key FROM kv WHERE key IN (?1, ?2)').bind(D1_IMPORT_STARTED, D1_IMPORT_MARKER).all()
+    ]);
+    const state = new Set(results.map(r => r.key));
+    if (state.has(D1_IMPORT_MARKER)) return;
+    // A database already in use before KV was bound is left alone
+    if (existing.n > 0 && !state.has(D1_IMPORT_STARTED)) return;
+
+    console.log('Importing KV data into D1...');
+    const kvStore = createKVStorage(legacyKV);
+    const statements = [
+      db.prepare('INSERT OR IGNORE INTO kv (key, value, expires_at) VALUES (?1, ?2, NULL)').bind(D1_IMPORT_STARTED, new Date().toISOString())
+    ];
+    let cursor;
+    do {
+      const page = await legacyKV.list({ cursor });
+      // Task shards are imported as rows below
+      const keys = page.keys.filter(key => !key.name.startsWith('tasks_shard_') && !key.name.startsWith('tasks_count_') &&
+        key.name !== TASK_INDEX_KEY && key.name !== 'all_tasks');
+      for (let i = 0; i < keys.length; i += KV_BULK_GET_SIZE) {
+        const chunk = keys.slice(i, i + KV_BULK_GET_SIZE);
+        const values = await legacyKV.get(chunk.map(key => key.name));
+        for (const key of chunk) {
+          const value = values.get(key.name);
+          if (value === null || value === undefined) continue;
+          statements.push(db.prepare('INSERT OR IGNORE INTO kv (key, value, expires_at) VALUES (?1, ?2, ?3)')
+            .bind(key.name, value, key.expiration ? key.expiration * 1000 : null));
+        }
+      }
+      cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+
+    const tasks = await kvStore.tasks.all() || [];
+    for (const task of tasks) {
+      statements.push(db.prepare(INSERT_TASK_IF_MISSING_SQL).bind(...taskRowValues(task)));
+    }
+
+    const history = await kvStore.history.list({ limit: HISTORY_LIMIT });
+    [...history].reverse().forEach(({ id, ...rest }, position) => {
+      statements.push(db.prepare('INSERT OR IGNORE INTO sync_history (id, synced_at, data) VALUES (?1, ?2, ?3)')
+        .bind(position + 1, rest.syncedAt, JSON.stringify(rest)));
+    });
+
+    await runBatches(statements);
+    await db.prepare('INSERT OR IGNORE INTO kv (key, value, expires_at) VALUES (?1, ?2, NULL)')
+      .bind(D1_IMPORT_MARKER, new Date().toISOString()).run();
+    console.log(`Imported ${statements.length - 1 - tasks.length - history.length} keys and ${tasks.length} tasks from KV`);
+  }
+
+  async function get(key) {
+    await ready();
+    const row = await db.prepare('SELECT value FROM kv WHERE key = ?1 AND (expires_at IS NULL OR expires_at > ?2)')
+      .bind(key, Date.now()).first();
+    return row ? row.value : null;
+  }
+
+  async function put(key, value, options = {}) {
+    await ready();
+    const expiresAt = options.ttl ? Date.now() + options.ttl * 1000 : null;
+    await db.prepare('INSERT OR REPLACE INTO kv (key, value, expires_at) VALUES (?1, ?2, ?3)')
+      .bind(key, String(value), expiresAt).run();
+  }
+
+  async function del(key) {
+    await ready();
+    await db.prepare('DELETE FROM kv WHERE key = ?1').bind(key).run();
+  }
+
+  // Keys are ASCII, so every key with the prefix sorts below prefix + U+FFFF
+  async function list({ prefix, limit = 100 }) {
+    await ready();
+    const { results } = await db.prepare(
+      'SELECT key, value FROM kv WHERE key >= ?1 AND key < ?2 AND (expires_at IS NULL OR expires_at > ?3) ORDER BY key LIMIT ?4'
+    ).bind(prefix, prefix + '\uffff', Date.now(), limit).all();
+    return results.map(row => ({ key: row.key, value: row.value }));
+  }
+
+  async function cleanup() {
+    await ready();
+    await db.prepare('DELETE FROM kv WHERE expires_at IS NOT NULL AND expires_at <= ?1').bind(Date.now()).run();
+  }
+
+  async function updateTaskCount() {
+    await put('task_count', String(await count()));
+  }
+
+  async function all() {
+    await ready();
+    const { results } = await db.prepare('SELECT data FROM tasks ORDER BY CAST(id AS INTEGER) DESC').all();
+    if (results.length === 0 && !(await get('last_updated'))) return null;
+    return results.map(r => JSON.parse(r.data));
+  }
+
+  async function getTask(taskId) {
+    await ready();
+    const row = await db.prepare('SELECT data FROM tasks WHERE id = ?1').bind(String(taskId)).first();
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async function putTask(task) {
+    await ready();
+    const exists = await db.prepare('SELECT 1 AS found FROM tasks WHERE id = ?1').bind(String(task.id)).first();
+    await db.prepare(UPSERT_TASK_SQL).bind(...taskRowValues(task)).run();
+    // Recounted rather than incremented, so concurrent writers can't drift it
+    await updateTaskCount();
+    return !exists;
+  }
+
+  async function remove(taskId) {
+    const existing = await getTask(taskId);
+    if (!existing) return null;
+    await db.prepare('DELETE FROM tasks WHERE id = ?1').bind(String(taskId)).run();
+    await updateTaskCount();
+    return existing;
+  }
+
+  // Only rows whose data changed are written; rows missing from `tasks` are removed
+  async function replaceAll(tasks) {
+    await ready();
+    const { results } = await db.prepare('SELECT id, data FROM tasks').all();
+    const previous = new Map(results.map(r => [r.id, r.data]));
+    const statements = [];
+
+    for (const task of tasks) {
+      const values = taskRowValues(task);
+      if (previous.get(values[0]) !== values[values.length - 1]) {
+        statements.push(db.prepare(UPSERT_TASK_SQL).bind(...values));
+      }
+      previous.delete(values[0]);
+    }
+    for (const staleId of previous.keys()) {
+      statements.push(db.prepare('DELETE FROM tasks WHERE id = ?1').bind(staleId));
+    }
+
+    await runBatches(statements);
+    await put('task_count', String(tasks.filter(t => !t._deleted).length));
+  }
+
+  // Tasks not marked `_deleted`
+  async function count() {
+    await ready();
+    const row = await db.prepare('SELECT COUNT(*) AS n FROM tasks WHERE deleted = 0').first();
+    return row.n;
+  }
+
+  async function query({ projectId, ticketNumber } = {}) {
+    await ready();
+    let stmt;
+    if (ticketNumber !== undefined) {
+      stmt = projectId !== undefined
+        ? db.prepare('SELECT data FROM tasks WHERE project_id = ?1 AND ticket_number = ?2 ORDER BY CAST(id AS INTEGER) DESC')
+          .bind(projectId, Number(ticketNumber))
+        : db.prepare('SELECT data FROM tasks WHERE ticket_number = ?1 ORDER BY CAST(id AS INTEGER) DESC')
+          .bind(Number(ticketNumber));
+    } else {
+      stmt = db.prepare('SELECT data FROM tasks ORDER BY CAST(id AS INTEGER) DESC');
+    }
+    const { results } = await stmt.all();
+    return results.map(r => JSON.parse(r.data));
+  }
+
+  async function appendHistory(entry) {
+    await ready();
+    const { meta } = await db.prepare('INSERT INTO sync_history (synced_at, data) VALUES (?1, ?2)')
+      .bind(entry.syncedAt, JSON.stringify(entry)).run();
+    // Same retention as KV
+    await db.prepare('DELETE FROM sync_history WHERE id NOT IN (SELECT id FROM sync_history ORDER BY id DESC LIMIT ?1)')
+      .bind(HISTORY_LIMIT).run();
+    return { id: meta.last_row_id, ...entry };
+  }
+
+  async function listHistory({ since, limit = 50 } = {}) {
+    await ready();
+    const stmt = since
+      ? db.prepare('SELECT id, data FROM sync_history WHERE synced_at >= ?1 ORDER BY id DESC LIMIT ?2').bind(since, limit)
+      : db.prepare('SELECT id, data FROM sync_history ORDER BY id DESC LIMIT ?1').bind(limit);
+    const { results } = await stmt.all();
+    return results.map(r => ({ id: r.id, ...JSON.parse(r.data) }));
+  }
+
+  return {
+    backend: 'd1',
+    get,
+    put,
+    delete: del,
+    list,
+    cleanup,
+    tasks: { all, get: getTask, put: putTask, remove, replaceAll, count, query },
+    history: { append: appendHistory, list: listHistory }
+  };
+}
@@ -0,0 +1,132 @@
+// Web Push delivery on WebCrypto alone (no Node dependencies, so it runs in the Worker)
+//
+// Messages are encrypted for the subscription with aes128gcm (RFC 8291) and sent with a
+// VAPID JWT (RFC 8292) so the push service knows which application server they come from.
+// Keys travel as base64url: the VAPID public key is the 65-byte uncompressed P-256 point,
+// the private key its 32-byte scalar (the format `web-push generate-vapid-keys` prints).
+
+const encoder = new TextEncoder();
+
+const VAPID_TOKEN_LIFETIME = 12 * 60 * 60; // seconds; push services reject more than 24 hours
+const RECORD_SIZE = 4096;
+
+export function base64UrlEncode(bytes) {
+  let binary = '';
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function base64UrlDecode(text) {
+  const base64 = String(text).replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+function concat(...parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+async function hkdf(salt, ikm, info, length) {
+  const key = await crypto.subtle.importKey('raw', ikm, 'HKDF', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'HKDF', hash: 'SHA-256', salt, info }, key, length * 8);
+  return new Uint8Array(bits);
+}
+
+// A fresh VAPID key pair: { publicKey, privateKey } as base64url
+export async function generateVapidKeys() {
+  const pair = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+  const publicKey = new Uint8Array(await crypto.subtle.exportKey('raw', pair.publicKey));
+  const { d } = await crypto.subtle.exportKey('jwk', pair.privateKey);
+  return { publicKey: base64UrlEncode(publicKey), privateKey: d };
+}
+
+// A subscription's keys must be a P-256 point and a 16-byte auth secret
+export function isValidSubscriptionKeys(keys) {
+  try {
+    const p256dh = base64UrlDecode(keys?.p256dh || '');
+    const auth = base64UrlDecode(keys?.auth || '');
+    return p256dh.length === 65 && p256dh[0] === 4 && auth.length === 16;
+  } catch (e) {
+    return false;
+  }
+}
+
+// `Authorization` header value for one push service origin
+async function vapidAuthorization(endpoint, vapid) {
+  const publicKey = base64UrlDecode(vapid.publicKey);
+  const signingKey = await crypto.subtle.importKey('jwk', {
+    kty: 'EC',
+    crv: 'P-256',
+    x: base64UrlEncode(publicKey.slice(1, 33)),
+    y: base64UrlEncode(publicKey.slice(33, 65)),
+    d: vapid.privateKey
+  }, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['sign']);
+
+  const header = base64UrlEncode(encoder.encode(JSON.stringify({ typ: 'JWT', alg: 'ES256' })));
+  const claims = base64UrlEncode(encoder.encode(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(Date.now() / 1000) + VAPID_TOKEN_LIFETIME,
+    sub: vapid.subject
+  })));
+  // WebCrypto's ECDSA signature is already the raw r || s form JWS wants
+  const signature = await crypto.subtle.sign(
+    { name: 'ECDSA', hash: 'SHA-256' }, signingKey, encoder.encode(`${header}.${claims}`)
+  );
+  return `vapid t=${header}.${claims}.${base64UrlEncode(new Uint8Array(signature))}, k=${vapid.publicKey}`;
+}
+
+// Encrypt one payload as a single aes128gcm record (RFC 8291 §3–4, RFC 8188 §2)
+async function encryptPayload(keys, plaintext) {
+  const uaPublic = base64UrlDecode(keys.p256dh);
+  const authSecret = base64UrlDecode(keys.auth);
+
+  const local = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, true, ['deriveBits']);
+  const asPublic = new Uint8Array(await crypto.subtle.exportKey('raw', local.publicKey));
+  const uaKey = await crypto.subtle.importKey('raw', uaPublic, { name: 'ECDH', namedCurve: 'P-256' }, false, []);
+  const ecdhSecret = new Uint8Array(await crypto.subtle.deriveBits({ name: 'ECDH', public: uaKey }, local.privateKey, 256));
+
+  const ikm = await hkdf(authSecret, ecdhSecret, concat(encoder.encode('WebPush: info\0'), uaPublic, asPublic), 32);
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const cek = await hkdf(salt, ikm, encoder.encode('Content-Encoding: aes128gcm\0'), 16);
+  const nonce = await hkdf(salt, ikm, encoder.encode('Content-Encoding: nonce\0'), 12);
+
+  const key = await crypto.subtle.importKey('raw', cek, 'AES-GCM', false, ['encrypt']);
+  // 0x02 marks the last (only) record
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv: nonce }, key, concat(plaintext, new Uint8Array([2]))
+  ));
+
+  // Header: salt, record size, key ID length, key ID (our ephemeral public key)
+  const header = new Uint8Array(21 + asPublic.length);
+  header.set(salt, 0);
+  new DataView(header.buffer).setUint32(16, RECORD_SIZE);
+  header[20] = asPublic.length;
+  header.set(asPublic, 21);
+  return concat(header, ciphertext);
+}
+
+// Send one JSON message to a subscription ({ endpoint, keys: { p256dh, auth } }).
+// Returns the push service's HTTP status: 2xx accepted, 404/410 the subscription is gone.
+export async function sendWebPush(subscription, message, vapid, { ttl = 24 * 60 * 60, urgency = 'normal' } = {}) {
+  const plaintext = encoder.encode(JSON.stringify(message));
+  if (plaintext.length > RECORD_SIZE - 103) throw new Error('Push message too large');
+
+  const response = await fetch(subscription.endpoint, {
+    method: 'POST',
+    headers: {
+      'Authorization': await vapidAuthorization(subscription.endpoint, vapid),
+      'Content-Encoding': 'aes128gcm',
+      'Content-Type': 'application/octet-stream',
+      'TTL': String(ttl),
+      'Urgency': urgency
+    },
+    body: await encryptPayload(subscription.keys, plaintext)
+  });
+  return response.status;
+}
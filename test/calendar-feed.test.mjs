@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, request, seedTasks, sessionCookie } from './support/worker.mjs';
+
+async function calendar(tasks) {
+  const env = createEnv();
+  await seedTasks(env, tasks);
+  const created = await request(env, '/api/calendar-feeds', {
+    method: 'POST',
+    headers: { Cookie: await sessionCookie(env, '1234'), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ action: 'create', name: 'Phone' })
+  });
+  const { token } = await created.json();
+  const response = await request(env, `/calendar.ics?token=${token}`);
+  assert.equal(response.status, 200);
+  return response.text();
+}
+
+// Undo the CRLF + space folding and split into logical lines
+const unfold = ics => ics.replace(/\r\n /g, '').split('\r\n');
+
+test('TEXT values escape backslashes, semicolons, commas and newlines', async () => {
+  const ics = await calendar([{
+    id: '1', ticketKey: 'WEB-1', project: 'Web; Mobile', title: 'Fix a\\b, then c\;d\nnext',
+    status: 'Open', dueDate: '2026-10-20', updatedAt: '2026-10-19T08:00:00Z'
+  }]);
+  const lines = unfold(ics);
+  assert.ok(lines.includes('SUMMARY:WEB-1 Fix a\\\\b\\, then c\\;d\\nnext (Open)'));
+  assert.ok(lines.includes('CATEGORIES:Web\\; Mobile'));
+  assert.ok(lines.includes('DTSTART;VALUE=DATE:20261020'));
+  assert.ok(lines.includes('DTEND;VALUE=DATE:20261021'));
+});
+
+test('long lines are folded at 75 octets without splitting a UTF-8 character', async () => {
+  const title = 'Überarbeitung ' + 'é'.repeat(80) + ' 🚀 done';
+  const ics = await calendar([{
+    id: '1', ticketKey: 'WEB-1', project: 'Website', title,
+    status: 'Open', dueDate: '2026-10-20', updatedAt: '2026-10-19T08:00:00Z'
+  }]);
+  assert.ok(ics.endsWith('\r\n'));
+  const physical = ics.slice(0, -2).split('\r\n');
+  for (const line of physical) {
+    assert.ok(Buffer.byteLength(line) <= 75, line);
+    assert.ok(!line.includes('�'));
+  }
+  assert.ok(physical.some(line => line.startsWith(' ')));
+  assert.ok(unfold(ics).includes(`SUMMARY:WEB-1 ${title} (Open)`));
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../src/index.js';
+import { createEnv, request, seedTasks, sessionCookie, stubFetch } from './support/worker.mjs';
+
+const cron = env => worker.scheduled({}, env, { waitUntil() {} });
+
+test('a scheduled digest is retried on later cron runs that day until the webhook takes it', async (t) => {
+  const env = createEnv();
+  await seedTasks(env, [{ id: '1', ticketKey: 'WEB-1', ticketNumber: 1, project: 'Website', title: 'Launch', status: 'Open' }]);
+  await env.TASKS_KV.put('config_digest_schedule', JSON.stringify({ schedule: 'daily', timeZone: 'UTC' }));
+
+  let hookStatus = 400;
+  const calls = stubFetch(t, url => url.startsWith('https://hooks.test/')
+    ? new Response('', { status: hookStatus })
+    : new Response('unauthorized', { status: 401 }));
+  await request(env, '/api/outgoing-webhooks', {
+    method: 'POST',
+    headers: { Cookie: await sessionCookie(env, '1234'), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ action: 'create', name: 'Team', url: 'https://hooks.test/digest', events: ['digest'] })
+  });
+  const hookCalls = () => calls.filter(c => c.url.startsWith('https://hooks.test/')).length;
+
+  await cron(env);
+  assert.equal(hookCalls(), 1);
+  const storedDigest = await env.TASKS_KV.get('digest_latest');
+
+  hookStatus = 200;
+  await cron(env);
+  assert.equal(hookCalls(), 2);
+  assert.equal(await env.TASKS_KV.get('digest_latest'), storedDigest, 'the day\'s digest is built once');
+
+  await cron(env);
+  assert.equal(hookCalls(), 2, 'a delivered digest is not sent again');
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, login } from './support/worker.mjs';
+
+const LOCKED = 'Too many failed attempts';
+
+test('a correct admin PIN logs in and resets the failure counters', async () => {
+  const env = createEnv();
+  for (let i = 0; i < 4; i++) await login(env, '0000');
+  const response = await login(env, '1234');
+  assert.equal(response.status, 302);
+  assert.equal(await env.TASKS_KV.get('login_failures_ip_203.0.113.1'), null);
+  assert.equal(await env.TASKS_KV.get('login_failures_global'), null);
+});
+
+test('viewer logins between wrong admin PINs do not reset the lockout', async () => {
+  const env = createEnv();
+  let lockedOut = false;
+  for (let round = 0; round < 5 && !lockedOut; round++) {
+    const viewer = await login(env, '5678');
+    if (viewer.status !== 302) {
+      lockedOut = (await viewer.text()).includes(LOCKED);
+      break;
+    }
+    for (let i = 0; i < 2; i++) {
+      const guess = await login(env, '0000');
+      if ((await guess.text()).includes(LOCKED)) lockedOut = true;
+    }
+  }
+  assert.ok(lockedOut, 'expected the wrong admin PINs to end in a lockout');
+
+  // Even the right PIN is refused until the lockout passes
+  const admin = await login(env, '1234');
+  assert.notEqual(admin.status, 302);
+  assert.match(await admin.text(), new RegExp(LOCKED));
+});
+
+// Lets the current lockout run out without waiting for it
+async function expireLockout(env, ip = '203.0.113.1') {
+  const key = `login_failures_ip_${ip}`;
+  const state = JSON.parse(await env.TASKS_KV.get(key));
+  await env.TASKS_KV.put(key, JSON.stringify({ ...state, lockedUntil: 0 }));
+}
+
+const lockoutMessage = async response => (await response.text()).match(/Login is locked for ([^.]+)\./)?.[1];
+
+test('each failure after a lockout doubles the next one, per IP', async () => {
+  const env = createEnv();
+  for (let i = 0; i < 4; i++) assert.equal((await login(env, '0000')).status, 200);
+
+  const first = await login(env, '0000');
+  assert.equal(first.status, 429);
+  assert.equal(await lockoutMessage(first), '30 seconds');
+  // Attempts during a lockout are refused without counting
+  assert.equal(await lockoutMessage(await login(env, '0000')), '30 seconds');
+
+  await expireLockout(env);
+  assert.equal(await lockoutMessage(await login(env, '0000')), '1 minute');
+  await expireLockout(env);
+  assert.equal(await lockoutMessage(await login(env, '0000')), '2 minutes');
+
+  // Another address still gets its free attempts
+  assert.equal((await login(env, '1234', '198.51.100.7')).status, 302);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, request, seedTasks, sessionCookie, stubFetch } from './support/worker.mjs';
+
+const SECRET = 'hook-secret';
+
+async function admin(env, path, body) {
+  const response = await request(env, path, {
+    method: body ? 'POST' : 'GET',
+    headers: { Cookie: await sessionCookie(env, '1234'), 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return response.json();
+}
+
+// Productive reports task 7 as deleted
+function deliverDeletion(env) {
+  return request(env, '/webhooks/productive?event=task.deleted', {
+    method: 'POST',
+    headers: { 'X-Webhook-Secret': SECRET, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ data: { id: '7', type: 'tasks' } })
+  });
+}
+
+async function setup(t, formats, onPost = () => {}) {
+  const env = createEnv({ PRODUCTIVE_WEBHOOK_SECRET: SECRET });
+  await seedTasks(env, [{
+    id: '7', ticketKey: 'WEB-7', ticketNumber: 7, projectPrefix: 'WEB', project: 'Website',
+    title: 'Fix <login> & *signup*', status: 'Open', url: 'https://app.productive.io/1-org/task/7'
+  }]);
+  const posts = [];
+  stubFetch(t, async (url, init) => {
+    posts.push({ url, payload: JSON.parse(init.body) });
+    await onPost(env, url);
+    return new Response('ok');
+  });
+  const ids = [];
+  for (const format of formats) {
+    const { webhook } = await admin(env, '/api/outgoing-webhooks', {
+      action: 'create', name: format, url: `https://hooks.test/${format}`, format
+    });
+    ids.push(webhook.id);
+  }
+  return { env, posts, ids };
+}
+
+test('a Productive delivery sends each format its own escaped payload', async (t) => {
+  const { env, posts } = await setup(t, ['json', 'slack', 'teams']);
+  assert.equal((await deliverDeletion(env)).status, 200);
+
+  const byFormat = Object.fromEntries(posts.map(p => [p.url.split('/').pop(), p.payload]));
+  assert.deepEqual(Object.keys(byFormat).sort(), ['json', 'slack', 'teams']);
+
+  assert.equal(byFormat.json.source, 'webhook');
+  assert.equal(byFormat.json.counts.deleted, 1);
+  assert.equal(byFormat.json.tasks.deleted[0].title, 'Fix <login> & *signup*');
+
+  assert.match(byFormat.slack.text, /Fix &lt;login&gt; &amp; \*signup\*/);
+  assert.match(byFormat.slack.text, /<https:\/\/app\.productive\.io\/1-org\/task\/7\|WEB-7>/);
+
+  const teamsText = JSON.stringify(byFormat.teams);
+  assert.match(teamsText, /\[WEB-7\]\(https:\/\/app\.productive\.io\/1-org\/task\/7\)/);
+  assert.ok(teamsText.includes('\\\\*signup\\\\*'), 'Teams markdown is escaped');
+
+  const { log } = await admin(env, '/api/outgoing-webhooks');
+  assert.equal(log.length, 3);
+  assert.ok(log.every(entry => entry.ok && entry.trigger === 'sync'));
+});
+
+test('delivery state is merged into webhooks edited while it was being sent', async (t) => {
+  const { env, ids } = await setup(t, ['json'], async (env, url) => {
+    if (url.startsWith('https://hooks.test/')) {
+      await admin(env, '/api/outgoing-webhooks', { action: 'update', id: ids[0], name: 'Renamed meanwhile' });
+    }
+  });
+  await deliverDeletion(env);
+
+  const [webhook] = JSON.parse(await env.TASKS_KV.get('outgoing_webhooks'));
+  assert.equal(webhook.name, 'Renamed meanwhile');
+  assert.equal(webhook.lastOk, true);
+  assert.ok(webhook.cursor > 0);
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { createEnv, login } from './support/worker.mjs';
+
+const sha256 = text => createHash('sha256').update(text).digest('hex');
+
+// PINs set through setup or Settings live in storage, not in APP_PIN
+function envWithStoredPin(hash) {
+  const env = createEnv({ APP_PIN: undefined, VIEWER_PIN: undefined });
+  env.TASKS_KV.values.set('config_app_pin', hash);
+  return env;
+}
+
+test('a legacy SHA-256 PIN hash is upgraded to salted PBKDF2 on login', async () => {
+  const env = envWithStoredPin(sha256('2468'));
+  assert.equal((await login(env, '2468')).status, 302);
+
+  const upgraded = await env.TASKS_KV.get('config_app_pin');
+  assert.match(upgraded, /^pbkdf2\$sha256\$100000\$[0-9a-f]{32}\$[0-9a-f]{64}$/);
+
+  // The upgraded hash still accepts the PIN, and only the PIN
+  assert.equal((await login(env, '2468')).status, 302);
+  assert.notEqual((await login(env, '1357')).status, 302);
+  assert.equal(await env.TASKS_KV.get('config_app_pin'), upgraded);
+});
+
+test('a wrong PIN leaves a legacy hash untouched', async () => {
+  const legacy = sha256('2468');
+  const env = envWithStoredPin(legacy);
+  assert.notEqual((await login(env, '1357')).status, 302);
+  assert.equal(await env.TASKS_KV.get('config_app_pin'), legacy);
+});
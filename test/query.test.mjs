@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createQueryEngine } from '../src/query.js';
+
+const engine = createQueryEngine();
+
+const tasks = [
+  { id: '1', ticketKey: 'PRIM-1', ticketNumber: 1, projectPrefix: 'PRIM', project: 'Primary', title: 'Login page', status: 'Open' },
+  { id: '2', ticketKey: 'WEB-2', ticketNumber: 2, projectPrefix: 'WEB', project: 'Website', title: 'Hero image', status: 'Done' },
+  { id: '3', ticketKey: 'OPS-3', ticketNumber: 3, projectPrefix: 'OPS', project: 'Operations', title: 'Login alerts', status: 'Open' },
+  { id: '4', ticketKey: 'OPS-4', ticketNumber: 4, projectPrefix: 'OPS', project: 'Operations', title: 'Backups', status: 'Done', _manual: true }
+];
+
+const keys = query => engine.filter(tasks, query, {}).map(t => t.ticketKey);
+
+test('a negated term excludes its matches', () => {
+  assert.deepEqual(keys('-project:OPS'), ['PRIM-1', 'WEB-2']);
+});
+
+test('-( ... ) excludes everything the group matches', () => {
+  assert.deepEqual(engine.parse('-(project:PRIM OR project:WEB)'), {
+    type: 'not',
+    child: {
+      type: 'or',
+      children: [
+        { type: 'field', field: 'project', value: 'prim' },
+        { type: 'field', field: 'project', value: 'web' }
+      ]
+    }
+  });
+  assert.deepEqual(keys('-(project:PRIM OR project:WEB)'), ['OPS-3', 'OPS-4']);
+});
+
+test('a negated group combines with other terms', () => {
+  assert.deepEqual(keys('login -(project:PRIM OR status:done)'), ['OPS-3']);
+  assert.deepEqual(keys('-(status:done) OR project:WEB'), ['PRIM-1', 'WEB-2', 'OPS-3']);
+});
+
+test('negation nests inside negated groups', () => {
+  // Not (OPS and not a ghost): everything except OPS-3
+  assert.deepEqual(keys('-(project:OPS -is:ghost)'), ['PRIM-1', 'WEB-2', 'OPS-4']);
+  // Double negation of a group is the group itself
+  assert.deepEqual(keys('-(-(project:WEB))'), ['WEB-2']);
+});
+
+test('an empty negated group or a stray dash matches everything', () => {
+  assert.deepEqual(keys('-()'), ['PRIM-1', 'WEB-2', 'OPS-3', 'OPS-4']);
+  assert.deepEqual(keys('project:OPS -'), ['OPS-3', 'OPS-4']);
+});
+
+test('day boundaries follow the tzOffset in ctx, not the runtime time zone', () => {
+  const dated = [
+    { id: '5', ticketKey: 'WEB-5', title: 'Launch', status: 'Open', dueDate: '2026-03-10', updatedAt: '2026-03-10T12:00:00Z' },
+    { id: '6', ticketKey: 'WEB-6', title: 'Retro', status: 'Open', dueDate: '2026-03-11', updatedAt: '2026-03-10T14:00:00Z' }
+  ];
+  // 23:30 UTC on the 10th is 10:30 on the 11th in Sydney (UTC+11) and 19:30 on the 10th in New York (UTC-4)
+  const now = Date.parse('2026-03-10T23:30:00Z');
+  const at = (query, tzOffset) => engine.filter(dated, query, { now, tzOffset }).map(t => t.ticketKey);
+
+  assert.deepEqual(at('due:today', -660), ['WEB-6']);
+  assert.deepEqual(at('is:overdue', -660), ['WEB-5']);
+  assert.deepEqual(at('updated:today', -660), ['WEB-6']);
+  assert.deepEqual(at('due:2026-03-11', -660), ['WEB-6']);
+
+  assert.deepEqual(at('due:today', 240), ['WEB-5']);
+  assert.deepEqual(at('is:overdue', 240), []);
+  assert.deepEqual(at('updated:today', 240), ['WEB-5', 'WEB-6']);
+  assert.deepEqual(at('due:tomorrow', 240), ['WEB-6']);
+});
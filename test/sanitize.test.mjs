@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sanitizeHtml } from '../src/sanitize.js';
+
+test('javascript: links lose their href, including entity-obfuscated ones', () => {
+  for (const href of [
+    'javascript:alert(1)',
+    'JaVaScRiPt:alert(1)',
+    '&#106;avascript:alert(1)',
+    '&#x6A;&#x61;vascript:alert(1)',
+    'java&#x09;script:alert(1)',
+    ' javascript:alert(1)'
+  ]) {
+    const out = sanitizeHtml(`<a href="${href}">x</a>`);
+    assert.doesNotMatch(out, /href/i, href);
+    assert.match(out, /^<a target="_blank" rel="noopener noreferrer nofollow">x<\/a>$/);
+  }
+});
+
+test('safe links keep their href', () => {
+  assert.equal(
+    sanitizeHtml('<a href="https://example.com/?a=1&amp;b=2" onclick="x()">x</a>'),
+    '<a href="https://example.com/?a=1&amp;b=2" target="_blank" rel="noopener noreferrer nofollow">x</a>'
+  );
+  assert.match(sanitizeHtml('<a href="mailto:a@example.com">x</a>'), /href="mailto:a@example.com"/);
+  assert.doesNotMatch(sanitizeHtml('<img src="data:image/png;base64,AAAA">'), /src/);
+});
+
+test('svg and math are dropped with their content', () => {
+  assert.equal(sanitizeHtml('<p>a<svg><script>alert(1)</script><text>b</text></svg>c</p>'), '<p>ac</p>');
+  assert.equal(sanitizeHtml('<p>a<math><mi>x</mi></math>c</p>'), '<p>ac</p>');
+  assert.equal(sanitizeHtml('<p>a<svg/>c</p>'), '<p>ac</p>');
+});
+
+test('unknown tags are unwrapped and stray markup escaped', () => {
+  assert.equal(sanitizeHtml('<font color="red">hi</font> <b>1 < 2'), 'hi <b>1 &lt; 2</b>');
+});
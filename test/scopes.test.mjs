@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, request, sessionCookie } from './support/worker.mjs';
+
+async function createApiKey(env, scope) {
+  const response = await request(env, '/api/keys', {
+    method: 'POST',
+    headers: { Cookie: await sessionCookie(env, '1234'), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ action: 'create', name: `${scope} key`, scope })
+  });
+  return (await response.json()).key;
+}
+
+const CASES = [
+  ['GET', '/api/time-services', false],
+  ['GET', '/api/search', false],
+  ['GET', '/api/remote-search?q=checkout', true],
+  ['POST', '/api/sync-task', true],
+  ['GET', '/api/views', false],
+  ['POST', '/api/views', true]
+];
+
+test('a viewer session and a read API key get the same answer on every route', async () => {
+  const env = createEnv();
+  const viewer = { Cookie: await sessionCookie(env, '5678') };
+  const readKey = { Authorization: `Bearer ${await createApiKey(env, 'read')}` };
+
+  for (const [method, path, forbidden] of CASES) {
+    const init = headers => ({
+      method,
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: method === 'POST' ? JSON.stringify({ action: 'create', name: 'Mine', query: {} }) : undefined
+    });
+    const asViewer = await request(env, path, init(viewer));
+    const asKey = await request(env, path, init(readKey));
+    assert.equal(asViewer.status === 403, forbidden, `viewer ${method} ${path}`);
+    assert.equal(asKey.status === 403, forbidden, `read key ${method} ${path}`);
+  }
+});
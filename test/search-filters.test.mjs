@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, request, seedTasks, sessionCookie } from './support/worker.mjs';
+
+// 7 open WEB tasks, 3 OPS tasks of which one is done; IDs 1-10
+const tasks = Array.from({ length: 10 }, (_, i) => {
+  const id = String(i + 1);
+  const ops = i >= 7;
+  return {
+    id, ticketKey: `${ops ? 'OPS' : 'WEB'}-${id}`, ticketNumber: i + 1,
+    projectPrefix: ops ? 'OPS' : 'WEB', project: ops ? 'Operations' : 'Website',
+    title: `Task ${id}`, status: id === '10' ? 'Done' : 'Open'
+  };
+});
+
+async function search(params) {
+  const env = createEnv();
+  await seedTasks(env, tasks);
+  const response = await request(env, `/api/search?${new URLSearchParams(params)}`, {
+    headers: { Cookie: await sessionCookie(env, '1234') }
+  });
+  assert.equal(response.status, 200);
+  return response.json();
+}
+
+test('results are paged, and an out-of-range page is clamped to the last one', async () => {
+  const second = await search({ page: '2', pageSize: '4' });
+  assert.deepEqual([second.count, second.pages, second.page], [10, 3, 2]);
+  assert.deepEqual(second.tasks.map(t => t.id), ['6', '5', '4', '3']);
+
+  const beyond = await search({ page: '9', pageSize: '4' });
+  assert.equal(beyond.page, 3);
+  assert.deepEqual(beyond.tasks.map(t => t.id), ['2', '1']);
+
+  // Without paging parameters every match comes back
+  assert.equal((await search({})).tasks.length, 10);
+});
+
+test('each facet counts matches under every filter except its own', async () => {
+  const { count, facets } = await search({ project: 'OPS', resolved: 'exclude' });
+  assert.equal(count, 2);
+  // Project facet ignores the project filter: all 9 unresolved tasks, by project
+  assert.deepEqual(facets.projects, { WEB: 7, OPS: 2 });
+  // No status filter is set, so the status facet matches the results
+  assert.deepEqual(facets.statuses, { Open: 2 });
+  // Resolved count ignores the resolved filter
+  assert.equal(facets.resolved, 1);
+});
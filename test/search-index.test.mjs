@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  searchIndexShardOf, buildSearchIndexShards, updateSearchIndexShard,
+  reconcileSearchIndexShard, combineSearchIndexShards, searchWithIndex
+} from '../src/search-index.js';
+
+const task = (id, title) => ({ id, ticketKey: `WEB-${id}`, project: 'Website', title, status: 'Open' });
+
+const ids = (shards, tasks, query) =>
+  searchWithIndex(combineSearchIndexShards(shards), tasks, query).map(r => r.id);
+
+test('a single-task patch only touches that task\'s shard', () => {
+  const tasks = [task('1', 'Checkout flow'), task('2', 'Hero image')];
+  assert.notEqual(searchIndexShardOf('1'), searchIndexShardOf('2'));
+  const shards = buildSearchIndexShards(tasks);
+  const before = JSON.stringify(shards[searchIndexShardOf('2')]);
+
+  const edited = task('1', 'Payment flow');
+  updateSearchIndexShard(shards[searchIndexShardOf('1')], [edited]);
+
+  assert.equal(JSON.stringify(shards[searchIndexShardOf('2')]), before);
+  assert.deepEqual(ids(shards, [edited, tasks[1]], 'payment'), ['1']);
+});
+
+test('reconciling re-indexes a task whose title changed without a patch', () => {
+  const shards = buildSearchIndexShards([task('1', 'Checkout flow')]);
+  const shard = shards[searchIndexShardOf('1')];
+  const renamed = [task('1', 'Payment flow')];
+
+  assert.equal(reconcileSearchIndexShard(shard, renamed), true);
+  assert.deepEqual(ids(shards, renamed, 'payment'), ['1']);
+  assert.deepEqual(ids(shards, renamed, 'checkout'), []);
+  assert.equal(reconcileSearchIndexShard(shard, renamed), false);
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, request, seedTasks, sessionCookie } from './support/worker.mjs';
+
+const task = (id, title, extra = {}) => ({
+  id, ticketKey: `WEB-${id}`, ticketNumber: Number(id), projectPrefix: 'WEB', project: 'Website',
+  title, status: 'Open', assignee: 'Ada', updatedAt: '2026-03-01T00:00:00Z', ...extra
+});
+
+async function search(env, params) {
+  const response = await request(env, `/api/search?${new URLSearchParams(params)}`, {
+    headers: { Cookie: await sessionCookie(env, '1234') }
+  });
+  assert.equal(response.status, 200);
+  return response.json();
+}
+
+test('a text search reads the index without writing to storage', async () => {
+  const env = createEnv();
+  await seedTasks(env, [task('1', 'Checkout flow'), task('2', 'Hero image')]);
+
+  const writes = [];
+  const { put, delete: remove } = env.TASKS_KV;
+  env.TASKS_KV.put = (key, ...rest) => { writes.push(key); return put(key, ...rest); };
+  env.TASKS_KV.delete = (key) => { writes.push(key); return remove(key); };
+
+  const { tasks } = await search(env, { q: 'chekout' });
+  assert.deepEqual(tasks.map(t => t.id), ['1']);
+  assert.deepEqual(writes.filter(key => key.startsWith('search_index')), []);
+});
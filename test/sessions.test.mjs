@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, request, sessionCookie } from './support/worker.mjs';
+
+const sessionsApi = (env, cookie, body) => request(env, '/api/sessions', {
+  method: body ? 'POST' : 'GET',
+  headers: { Cookie: cookie, 'Content-Type': 'application/json' },
+  body: body ? JSON.stringify(body) : undefined
+});
+
+test('revoking a session signs out that device only', async () => {
+  const env = createEnv();
+  const laptop = await sessionCookie(env, '1234');
+  const phone = await sessionCookie(env, '1234');
+
+  const { sessions } = await (await sessionsApi(env, laptop)).json();
+  assert.equal(sessions.length, 2);
+  const other = sessions.find(s => !s.current);
+
+  const revoke = await sessionsApi(env, laptop, { action: 'revoke', id: other.id });
+  assert.deepEqual(await revoke.json(), { success: true, loggedOut: false });
+  assert.equal((await sessionsApi(env, phone)).status, 401);
+  assert.equal((await sessionsApi(env, laptop)).status, 200);
+  assert.equal((await sessionsApi(env, laptop, { action: 'revoke', id: other.id })).status, 404);
+});
+
+test('logging out everywhere revokes the current session too', async () => {
+  const env = createEnv();
+  const laptop = await sessionCookie(env, '1234');
+  const phone = await sessionCookie(env, '1234');
+
+  const response = await sessionsApi(env, laptop, { action: 'revoke_all' });
+  assert.deepEqual(await response.json(), { success: true, revoked: 2, loggedOut: true });
+  assert.equal((await sessionsApi(env, laptop)).status, 401);
+  assert.equal((await sessionsApi(env, phone)).status, 401);
+});
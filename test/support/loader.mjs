@@ -0,0 +1,25 @@
+// Module hooks: text assets load as strings, binary assets as ArrayBuffers
+import { readFile } from 'node:fs/promises';
+
+const TEXT = /\.(html|css|svg|webmanifest)$/;
+const DATA = /\.(png|ico)$/;
+
+export async function load(url, context, nextLoad) {
+  if (TEXT.test(url)) {
+    const text = await readFile(new URL(url), 'utf8');
+    return { format: 'module', shortCircuit: true, source: `export default ${JSON.stringify(text)};` };
+  }
+  if (DATA.test(url)) {
+    const base64 = (await readFile(new URL(url))).toString('base64');
+    return {
+      format: 'module',
+      shortCircuit: true,
+      source: `export default Uint8Array.from(atob('${base64}'), c => c.charCodeAt(0)).buffer;`
+    };
+  }
+  // src/ has no package.json "type", so say it's ESM rather than let Node guess
+  if (url.endsWith('.js') && url.includes('/src/')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}
@@ -0,0 +1,4 @@
+// Lets Node import the Worker the way Wrangler bundles it (see the [[rules]] in wrangler.toml)
+import { register } from 'node:module';
+
+register('./loader.mjs', import.meta.url);
@@ -0,0 +1,80 @@
+// In-memory KV namespace and a request helper for driving the Worker in tests
+import worker from '../../src/index.js';
+import { getStorage } from '../../src/storage.js';
+
+export function createKV() {
+  const values = new Map();
+  return {
+    values,
+    async get(key) {
+      // Like Workers KV, an array of keys is a bulk read returning a Map
+      if (Array.isArray(key)) return new Map(key.map(k => [k, values.has(k) ? values.get(k) : null]));
+      return values.has(key) ? values.get(key) : null;
+    },
+    async put(key, value) {
+      values.set(key, String(value));
+    },
+    async delete(key) {
+      values.delete(key);
+    },
+    async list({ prefix = '', limit = 1000 } = {}) {
+      const names = [...values.keys()].filter(name => name.startsWith(prefix)).sort();
+      return { keys: names.slice(0, limit).map(name => ({ name })), list_complete: names.length <= limit };
+    }
+  };
+}
+
+export function createEnv(overrides = {}) {
+  return {
+    TASKS_KV: createKV(),
+    PRODUCTIVE_API_TOKEN: 'token',
+    PRODUCTIVE_ORG_ID: '1',
+    PRODUCTIVE_ORG_SLUG: 'org',
+    APP_PIN: '1234',
+    VIEWER_PIN: '5678',
+    ...overrides
+  };
+}
+
+// Work handed to ctx.waitUntil finishes before the response is returned, so tests see its writes
+export async function request(env, path, init = {}) {
+  const background = [];
+  const response = await worker.fetch(new Request(`https://worker.test${path}`, init), env, {
+    waitUntil(promise) { background.push(promise); }
+  });
+  await Promise.all(background);
+  return response;
+}
+
+export function login(env, pin, ip = '203.0.113.1') {
+  return request(env, '/login', {
+    method: 'POST',
+    headers: { 'CF-Connecting-IP': ip },
+    body: new URLSearchParams({ pin })
+  });
+}
+
+// Logs in and returns the session cookie to send back as a Cookie header
+export async function sessionCookie(env, pin) {
+  const response = await login(env, pin);
+  return response.headers.get('Set-Cookie').split(';')[0];
+}
+
+// Answers the Worker's outgoing requests (Productive.io API, webhooks) with `handler(url, init)`
+// instead of the network; restored automatically when the test ends
+export function stubFetch(t, handler) {
+  const calls = [];
+  t.mock.method(globalThis, 'fetch', async (input, init = {}) => {
+    const url = typeof input === 'string' ? input : input.url;
+    calls.push({ url, init });
+    return handler(url, init);
+  });
+  return calls;
+}
+
+// Stores `tasks` the way a sync leaves them (without building the search index)
+export async function seedTasks(env, tasks) {
+  const store = getStorage(env);
+  await store.tasks.replaceAll(tasks);
+  await store.put('last_updated', new Date().toISOString());
+}
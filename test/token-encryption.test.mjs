@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, request, sessionCookie, stubFetch } from './support/worker.mjs';
+
+const settings = async (env, body) => request(env, '/api/settings', {
+  method: 'POST',
+  headers: { Cookie: await sessionCookie(env, '1234'), 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+const dashboard = async (env) => (await request(env, '/', {
+  headers: { Cookie: await sessionCookie(env, '1234') }
+})).text();
+
+// A Settings-managed token (no PRODUCTIVE_API_TOKEN) encrypted with `key`
+async function envWithStoredToken(t, key) {
+  stubFetch(t, () => Response.json({ data: [] }));
+  const env = createEnv({ PRODUCTIVE_API_TOKEN: undefined, TOKEN_ENCRYPTION_KEY: key });
+  await env.TASKS_KV.put('config_api_token', 'pat-from-before-encryption');
+  const response = await settings(env, { action: 'token', value: 'pat-secret' });
+  assert.equal(response.status, 200);
+  return env;
+}
+
+test('a token saved in Settings is stored encrypted, never as plaintext', async (t) => {
+  const env = await envWithStoredToken(t, 'key-a');
+  const stored = await env.TASKS_KV.get('config_api_token');
+  assert.match(stored, /^enc:v1:/);
+  assert.ok(!stored.includes('pat-secret'));
+  assert.match(await dashboard(env), /Encrypted at rest/);
+});
+
+test('rotating keys re-encrypts the token under the new key', async (t) => {
+  const env = await envWithStoredToken(t, 'key-a');
+  const before = await env.TASKS_KV.get('config_api_token');
+
+  env.TOKEN_ENCRYPTION_KEY = 'key-b';
+  env.TOKEN_ENCRYPTION_KEY_PREVIOUS = 'key-a';
+  assert.match(await dashboard(env), /Encrypted with TOKEN_ENCRYPTION_KEY_PREVIOUS/);
+  assert.equal((await settings(env, { action: 'reencrypt_token', value: true })).status, 200);
+  assert.notEqual(await env.TASKS_KV.get('config_api_token'), before);
+
+  // The old key can go once the token has been re-encrypted
+  delete env.TOKEN_ENCRYPTION_KEY_PREVIOUS;
+  assert.match(await dashboard(env), /Encrypted at rest/);
+});
+
+test('a mismatched encryption key still lets the admin log in and re-enter the token', async (t) => {
+  const env = await envWithStoredToken(t, 'key-a');
+  env.TOKEN_ENCRYPTION_KEY = 'key-c';
+
+  const loginPage = await request(env, '/login');
+  assert.equal(loginPage.status, 200);
+  assert.match(await loginPage.text(), /<form/);
+  assert.equal((await request(env, '/setup')).status, 302);
+
+  assert.match(await dashboard(env), /key that is not configured/);
+  assert.equal((await settings(env, { action: 'token', value: 'pat-new' })).status, 200);
+  assert.match(await dashboard(env), /Encrypted at rest/);
+});
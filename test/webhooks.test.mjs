@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, request } from './support/worker.mjs';
+
+const deliver = (env, headers = {}, query = '') => request(env, `/webhooks/productive?event=task.deleted${query}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: JSON.stringify({ data: { id: '42', type: 'tasks' } })
+});
+
+test('deliveries are refused until a webhook secret is configured', async () => {
+  const response = await deliver(createEnv(), { 'X-Webhook-Secret': 'anything' });
+  assert.equal(response.status, 503);
+});
+
+test('a missing or wrong webhook secret is rejected', async () => {
+  const env = createEnv({ PRODUCTIVE_WEBHOOK_SECRET: 'right' });
+  assert.equal((await deliver(env)).status, 401);
+  assert.equal((await deliver(env, { 'X-Webhook-Secret': 'wrong' })).status, 401);
+  assert.equal((await deliver(env, {}, '&secret=wrong')).status, 401);
+});
+
+test('the right secret, as a header or query parameter, is accepted', async () => {
+  const env = createEnv({ PRODUCTIVE_WEBHOOK_SECRET: 'right' });
+  for (const response of [await deliver(env, { 'X-Webhook-Secret': 'right' }), await deliver(env, {}, '&secret=right')]) {
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { success: true, action: 'ignored', taskId: '42' });
+  }
+});